@@ -13,12 +13,83 @@ import {
   where,
   onSnapshot,
   orderBy,
+  arrayUnion,
   setDoc,
   getDoc,
   getDocs,
+  getDocFromCache,
+  getDocFromServer,
   writeBatch,
   serverTimestamp,
+  increment,
+  deleteField,
+  waitForPendingWrites,
 } from "firebase/firestore";
+import {
+  isRecurring,
+  getOccurrenceDates,
+  countOccurrencesBefore,
+  shiftRecurrence,
+  describeRecurrence,
+  addDays,
+  daysBetween,
+  parseDateKey,
+  toDateKey,
+} from "./src/recurrence.js";
+import {
+  buildICalendar,
+  parseICalendar,
+  getTaskUid,
+  getTaskIdFromUid,
+} from "./src/icalendar.js";
+import {
+  getTimeZone,
+  setTimeZone,
+  todayKey,
+  dateKeyInZone,
+  endOfDay,
+  formatInZone,
+  getZonedParts,
+  toInstant,
+  toDisplayZone,
+  withTimeZone,
+} from "./src/dateTime.js";
+import {
+  normalizeCategories,
+  getActiveCategories,
+  findCategory,
+  createCategoryId,
+  getCategoryColors,
+} from "./src/categories.js";
+import {
+  normalizeCalendarSettings,
+  getGridHours,
+  getGridBreaks,
+  formatClock,
+  isWeekend,
+} from "./src/calendarSettings.js";
+import {
+  normalizeNotificationSettings,
+  LEAD_TIME_OPTIONS,
+  formatLeadTime,
+  planAlerts,
+} from "./src/alerts.js";
+import {
+  isRepeating,
+  getNextDueKey,
+  describeRepeat,
+} from "./src/reminderRecurrence.js";
+import {
+  PRIORITY_LABELS,
+  DEFAULT_PRIORITY,
+  getPriority,
+  compareReminders,
+} from "./src/reminderSort.js";
+import { createHistory } from "./src/history.js";
+import { findConflicts, findFreeSlot } from "./src/conflicts.js";
+import { escapeHtml, isSafeUrl, renderMarkdown } from "./src/markdown.js";
+import { fuzzySearch } from "./src/search.js";
+import { readUrlState, writeUrlState } from "./src/urlState.js";
 
 // ============================================
 // State Variables
@@ -26,19 +97,66 @@ import {
 
 let currentUser = null;
 let tasks = [];
-let currentWeekOffset = 0;
 let weekDates = [];
 let userGroups = [];
 let groupsUnsubscribe = null;
 
-// Category filter state (all enabled by default)
-let categoryFilters = {
-  study: true,
-  work: true,
-  exercise: true,
-  group: true,
+// Reminder lists kept for the month view (filled by the reminder listeners)
+let personalReminders = [];
+let groupReminders = [];
+
+// Order within each reminder section, per list: "due", "priority" or
+// "estimate" (kept in localStorage)
+const reminderSort = {
+  personal: localStorage.getItem("reminderSort:personal") || "due",
+  group: localStorage.getItem("reminderSort:group") || "due",
+};
+
+// Category chip chosen above each reminder list: "all", "none" or a
+// category id (kept in localStorage)
+const reminderFilter = {
+  personal: localStorage.getItem("reminderFilter:personal") || "all",
+  group: localStorage.getItem("reminderFilter:group") || "all",
 };
 
+// Calendar view state: the view mode and the date it is focused on.
+// A shared link or reload restores them from the URL; otherwise phones start
+// on the single-day view since the week grid is too narrow.
+const initialUrlState = readUrlState(window.location.search);
+let currentView =
+  initialUrlState.view ||
+  (window.matchMedia("(max-width: 426px)").matches ? "day" : "week");
+let anchorDate = initialUrlState.date || todayKey();
+
+// Visible categories from the URL, applied once the user's categories load
+let urlCategoryFilter = initialUrlState.cats;
+
+// Set while back/forward restores the calendar, so it is not pushed again
+let restoringUrlState = false;
+
+// Number of days listed by the agenda view
+const AGENDA_DAYS = 30;
+
+// Visible hours, week start, time format and weekends (user setting)
+let calendarSettings = normalizeCalendarSettings(null);
+
+// User-defined categories and filter state (categories missing from the
+// filters are shown)
+let categories = normalizeCategories(null);
+let categoryFilters = {};
+
+// The filters as saved on the user document (a URL may show others)
+let savedCategoryFilters = {};
+
+// Working copy edited in the category manager
+let categoryDraft = [];
+
+// Undo/redo stack, the entry the running action is recording into, and the
+// queue actions wait in (one runs at a time)
+const changeHistory = createHistory();
+let historyEntry = null;
+let historyQueue = Promise.resolve();
+
 // Drag system variables
 let isDragging = false;
 let draggedTask = null;
@@ -48,35 +166,104 @@ let startX = 0;
 let startY = 0;
 let currentX = 0;
 let currentY = 0;
+let grabOffsetX = 0;
+let grabOffsetY = 0;
+let dropGhost = null;
 let autoScrollInterval = null;
 
-// Firestore real-time listener
+// Drop snap granularity in minutes (user setting: 5, 10, 15 or 30)
+let snapMinutes = parseInt(localStorage.getItem("dragSnapMinutes")) || 15;
+
+// Resize system variables
+const RESIZE_SNAP_MINUTES = 15;
+let resizeTask = null;
+let resizeElement = null;
+let resizeStartY = 0;
+let resizeHourHeight = 0;
+let resizeStartMinutes = 0;
+let resizeOriginalEnd = 0;
+let resizeEnd = 0;
+
+// Click-and-drag creation on empty cells
+const CREATE_LONG_PRESS_MS = 400;
+let createSelection = null; // { dayIndex, anchor, current } in minutes of the day
+let createPressTimer = null;
+let createTouchStart = null;
+
+// Browsers follow a tap with emulated mouse events; those are ignored for
+// this long after a touch
+const TOUCH_MOUSE_GUARD_MS = 800;
+let lastCellTouch = 0;
+
+// Task being edited in the task modal (null when adding a new task)
+let editingTask = null;
+
+// Checklist items edited in the task modal: [{ text, done }]
+let checklistDraft = [];
+
+// Events parsed from the .ics file being imported
+let icsImportEvents = [];
+
+// Command palette results and the highlighted row
+const PALETTE_MAX_RESULTS = 20;
+let paletteResults = [];
+let paletteIndex = 0;
+
+// The palette searches the loaded tasks. The task listener only covers the
+// period on screen, so the first time the palette opens in a session it also
+// reads the tasks a year either way of today into the task cache, where the
+// listener keeps them current like any other cached task.
+const PALETTE_TASK_DAYS = 365;
+let paletteTasksLoaded = false;
+
+// Task picked in the palette that the task listener has not loaded yet
+let pendingTaskJump = null;
+
+// Firestore real-time listeners: tasks in the loaded window, recurring series
 let unsubscribe = null;
+let seriesUnsubscribe = null;
+
+// Loaded task documents (raw, in their stored zone) by Firestore id, and the
+// date window the task listener covers
+const TASK_PREFETCH_DAYS = 14;
+const taskCache = new Map();
+let seriesCache = [];
+let taskWindow = null; // { start, end } YYYY-MM-DD
+
+// Due-time notifications: lead times (user setting), the service worker
+// registration that shows them, planned alert timers, and the one-off tasks
+// starting soon (loaded whatever period is on screen)
+let notificationSettings = normalizeNotificationSettings(null);
+let alertWorker = null; // Promise<ServiceWorkerRegistration|null>
+const alertTimers = new Map();
+let upcomingUnsubscribe = null;
+let upcomingTasks = [];
+let upcomingTasksDay = null;
 
 // ============================================
 // Date Helper Functions
 // ============================================
 
 /**
- * Get the Monday of the week for a given date
- * @param {Date} d - The date to find Monday for
- * @returns {Date} - Monday of that week
+ * Get the first day of the week (the user's week start) for a given date
+ * @param {Date} d - The date to find the week start for
+ * @returns {Date} - First day of that week
  */
-function getMonday(d) {
+function getWeekStart(d) {
   d = new Date(d);
   d.setHours(12, 0, 0, 0);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-  return new Date(d.setDate(diff));
+  const diff = (d.getDay() - calendarSettings.weekStart + 7) % 7;
+  d.setDate(d.getDate() - diff);
+  return d;
 }
 
 /**
- * Format date as YYYY-MM-DD
- * @param {Date} date - Date to format
- * @returns {string} - Formatted date string
+ * Format an HH:mm time in the user's 12/24-hour format
+ * @param {string} time - HH:mm
+ * @returns {string}
  */
-function formatDate(date) {
-  return date.toISOString().split("T")[0];
+function formatTime(time) {
+  return formatClock(time, calendarSettings.timeFormat);
 }
 
 // ============================================
@@ -84,51 +271,140 @@ function formatDate(date) {
 // ============================================
 
 /**
- * Update the week display header with dates
+ * Update the header and visible dates for the current view
  */
 function updateWeekDisplay() {
-  const today = new Date();
-  const monday = getMonday(today);
-  monday.setDate(monday.getDate() + currentWeekOffset * 7);
-
-  weekDates = [];
-  for (let i = 0; i < 7; i++) {
-    const date = new Date(monday);
-    date.setDate(date.getDate() + i);
-    weekDates.push(formatDate(date));
+  if (currentView === "day") {
+    weekDates = [anchorDate];
+  } else {
+    const weekStart = toDateKey(getWeekStart(parseDateKey(anchorDate)));
+    weekDates = [];
+    for (let i = 0; i < 7; i++) {
+      const date = addDays(weekStart, i);
+      if (calendarSettings.hideWeekends && isWeekend(parseDateKey(date))) {
+        continue;
+      }
+      weekDates.push(date);
+    }
   }
 
   // Update day headers with dates
-  const dayNames = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+  const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
   weekDates.forEach((date, i) => {
     const dayEl = document.getElementById(`day${i}`);
+    if (!dayEl) return;
 
-    const [year, month, day] = date.split("-").map(Number);
-    // Fix timezone issue by using UTC
-    const dateObj = new Date(Date.UTC(year, month - 1, day));
+    const dateObj = parseDateKey(date);
+    const name =
+      currentView === "day"
+        ? dateObj.toLocaleString("en", { weekday: "long" })
+        : dayNames[dateObj.getDay()];
 
-    dayEl.innerHTML = `${
-      dayNames[i]
-    }<br><span style="font-size: 12px; font-weight: normal;">${dateObj.getUTCDate()}/${
-      dateObj.getUTCMonth() + 1
+    dayEl.innerHTML = `${name}<br><span style="font-size: 12px; font-weight: normal;">${dateObj.getDate()}/${
+      dateObj.getMonth() + 1
     }</span>`;
+    dayEl.classList.toggle("today", date === todayKey());
   });
 
-  // Update week range display
-  const [year1, month1, day1] = weekDates[0].split("-").map(Number);
-  const [year2, month2, day2] = weekDates[6].split("-").map(Number);
-  const firstDate = new Date(Date.UTC(year1, month1 - 1, day1));
-  const lastDate = new Date(Date.UTC(year2, month2 - 1, day2));
+  document.getElementById("weekDisplay").textContent = getPeriodLabel();
+  syncUrlState();
+  loadTasks();
+}
 
-  document.getElementById(
-    "weekDisplay"
-  ).textContent = `${firstDate.getUTCDate()} ${firstDate.toLocaleString("en", {
-    month: "short",
-    timeZone: "UTC",
-  })} - ${lastDate.getUTCDate()} ${lastDate.toLocaleString("en", {
-    month: "short",
-    timeZone: "UTC",
-  })} ${lastDate.getUTCFullYear()}`;
+// ============================================
+// URL State
+// ============================================
+
+/**
+ * Categories shown by the filter, for the URL
+ * @returns {string[]|null} - Visible category ids, null if none are hidden
+ */
+function getVisibleCategoryIds() {
+  if (categories.every((category) => shouldShowTask(category.id))) return null;
+  return categories
+    .filter((category) => shouldShowTask(category.id))
+    .map((category) => category.id);
+}
+
+/**
+ * Write the displayed period, view and filters to the URL. Moving to another
+ * period or view adds a history entry; other changes update the current one.
+ */
+function syncUrlState() {
+  if (restoringUrlState) return;
+
+  const current = readUrlState(window.location.search);
+  const search = writeUrlState(window.location.search, {
+    date: anchorDate,
+    view: currentView,
+    cats: getVisibleCategoryIds(),
+  });
+  if (search === window.location.search) return;
+
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (
+    current.date &&
+    (current.date !== anchorDate || current.view !== currentView)
+  ) {
+    window.history.pushState(null, "", url);
+  } else {
+    window.history.replaceState(null, "", url);
+  }
+}
+
+/**
+ * Show only the given categories (from a URL) without saving it as the
+ * user's filter preference
+ * @param {string[]} ids - Visible category ids
+ */
+function applyUrlCategories(ids) {
+  categoryFilters = Object.fromEntries(
+    categories.map((category) => [category.id, ids.includes(category.id)])
+  );
+}
+
+/**
+ * Restore the calendar when the user goes back or forward
+ */
+function handlePopState() {
+  const state = readUrlState(window.location.search);
+
+  restoringUrlState = true;
+  anchorDate = state.date || todayKey();
+  if (state.cats) {
+    applyUrlCategories(state.cats);
+  } else {
+    categoryFilters = { ...savedCategoryFilters };
+  }
+  renderCategoryControls();
+  setView(state.view || currentView);
+  restoringUrlState = false;
+}
+
+/**
+ * Text for the period shown between the navigation buttons
+ * @returns {string} - e.g. "10 Nov - 16 Nov 2025" or "November 2025"
+ */
+function getPeriodLabel() {
+  const anchor = parseDateKey(anchorDate);
+  const dayMonth = (date) =>
+    `${date.getDate()} ${date.toLocaleString("en", { month: "short" })}`;
+
+  switch (currentView) {
+    case "day":
+      return `${dayMonth(anchor)} ${anchor.getFullYear()}`;
+    case "month":
+      return anchor.toLocaleString("en", { month: "long", year: "numeric" });
+    case "agenda": {
+      const last = parseDateKey(addDays(anchorDate, AGENDA_DAYS - 1));
+      return `${dayMonth(anchor)} - ${dayMonth(last)} ${last.getFullYear()}`;
+    }
+    default: {
+      const first = parseDateKey(weekDates[0]);
+      const last = parseDateKey(weekDates[weekDates.length - 1]);
+      return `${dayMonth(first)} - ${dayMonth(last)} ${last.getFullYear()}`;
+    }
+  }
 }
 
 /**
@@ -136,34 +412,131 @@ function updateWeekDisplay() {
  * @param {number} offset - Number of weeks to move (-1 for previous, +1 for next)
  */
 function changeWeek(offset) {
-  currentWeekOffset += offset;
+  anchorDate = addDays(anchorDate, offset * 7);
   updateWeekDisplay();
   renderTasks();
 }
 
 /**
- * Initialize the calendar grid (24 hours x 7 days, starting from 6 AM)
+ * Move the current view one period back or forward
+ * (a day, a week, a month or the agenda's AGENDA_DAYS)
+ * @param {number} offset - -1 for previous, +1 for next
  */
-function initCalendar() {
+function changePeriod(offset) {
+  if (currentView === "week") {
+    changeWeek(offset);
+    return;
+  }
+
+  if (currentView === "day") {
+    anchorDate = addDays(anchorDate, offset);
+  } else if (currentView === "agenda") {
+    anchorDate = addDays(anchorDate, offset * AGENDA_DAYS);
+  } else {
+    const anchor = parseDateKey(anchorDate);
+    anchorDate = toDateKey(
+      new Date(anchor.getFullYear(), anchor.getMonth() + offset, 1, 12)
+    );
+  }
+
+  updateWeekDisplay();
+  renderTasks();
+}
+
+/**
+ * Jump the current view to today
+ */
+function goToToday() {
+  anchorDate = todayKey();
+  updateWeekDisplay();
+  renderTasks();
+}
+
+/**
+ * Switch between the week, day, month and agenda views
+ * @param {string} view - "week", "day", "month" or "agenda"
+ */
+function setView(view) {
+  const previousView = currentView;
+  currentView = view;
+
+  const isGrid = view === "week" || view === "day";
+  document
+    .querySelector(".calendar-container")
+    .classList.toggle("hidden", !isGrid);
+  document.getElementById("monthView").classList.toggle("hidden", view !== "month");
+  document
+    .getElementById("agendaView")
+    .classList.toggle("hidden", view !== "agenda");
+  document.getElementById("addBtn").classList.toggle("hidden", view === "month");
+
+  // Rebuild the grid when switching between one and several day columns
+  if (isGrid && (view !== previousView || !weekDates.length)) {
+    buildCalendarGrid(view === "day" ? 1 : getWeekDayCount());
+  }
+
+  document.querySelectorAll(".view-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.view === view);
+  });
+
+  const unit = {
+    week: "Week",
+    day: "Day",
+    month: "Month",
+    agenda: `${AGENDA_DAYS} days`,
+  }[view];
+  document.getElementById("prevWeek").textContent = `← Previous ${unit}`;
+  document.getElementById("nextWeek").textContent = `Next ${unit} →`;
+
+  updateWeekDisplay();
+  renderTasks();
+}
+
+/**
+ * Number of day columns in the week view
+ * @returns {number} - 5 with weekends hidden, otherwise 7
+ */
+function getWeekDayCount() {
+  return calendarSettings.hideWeekends ? 5 : 7;
+}
+
+/**
+ * Build the time grid: one row per hour and the given number of day columns
+ * @param {number} dayCount - 5 or 7 for the week view, 1 for the day view
+ */
+function buildCalendarGrid(dayCount) {
+  const calendarContainer = document.querySelector(".calendar-container");
+  const calendarHeader = document.querySelector(".calendar-header");
   const calendarBody = document.getElementById("calendarBody");
 
-  // Create hours array: 6-23, then 0-5
-  const hours = [...Array(18).keys()]
-    .map((i) => i + 6)
-    .concat([...Array(6).keys()]);
+  // Column count for the grid templates in MainPage.css
+  calendarContainer.style.setProperty("--day-count", dayCount);
+  calendarContainer.classList.toggle("single-day", dayCount === 1);
+
+  // Header: time column followed by one column per day
+  calendarHeader.innerHTML = `<div class="time-column" title="${getTimeZone()}">Time</div>`;
+  for (let day = 0; day < dayCount; day++) {
+    const dayColumn = document.createElement("div");
+    dayColumn.className = "day-column";
+    dayColumn.id = `day${day}`;
+    calendarHeader.appendChild(dayColumn);
+  }
 
-  hours.forEach((hour) => {
+  // Rows from the start hour, wrapping past midnight; off-hours collapsed
+  calendarBody.innerHTML = "";
+  getGridHours(calendarSettings).forEach(({ hour, offHours }) => {
     const row = document.createElement("div");
     row.className = "calendar-row";
+    if (offHours) row.classList.add("off-hours");
 
     // Time label column
     const timeCell = document.createElement("div");
     timeCell.className = "time-cell";
-    timeCell.textContent = `${hour.toString().padStart(2, "0")}:00`;
+    timeCell.textContent = formatTime(`${hour.toString().padStart(2, "0")}:00`);
     row.appendChild(timeCell);
 
-    // Create 7 day cells
-    for (let day = 0; day < 7; day++) {
+    // Create day cells
+    for (let day = 0; day < dayCount; day++) {
       const dayCell = document.createElement("div");
       dayCell.className = "day-cell";
       dayCell.dataset.dayIndex = day;
@@ -173,16 +546,92 @@ function initCalendar() {
 
     calendarBody.appendChild(row);
   });
+}
 
-  updateWeekDisplay();
+/**
+ * Initialize the calendar (24 hours from the user's start hour) in the
+ * current view
+ */
+function initCalendar() {
+  setView(currentView);
 
-  // Scroll to 6 AM (top of the schedule)
+  // Scroll to the start hour (top of the schedule)
   const scheduleBox = document.querySelector(".schedule-box");
   if (scheduleBox) {
     scheduleBox.scrollTop = 0;
   }
 }
 
+// ============================================
+// Calendar Settings Functions
+// ============================================
+
+/**
+ * Use the calendar settings stored on the user document
+ * @param {Object|undefined} stored - users/{uid}.calendarSettings
+ */
+function applyCalendarSettings(stored) {
+  calendarSettings = normalizeCalendarSettings(stored);
+  renderCalendarSettingsControls();
+
+  if (currentView === "week" || currentView === "day") {
+    buildCalendarGrid(currentView === "day" ? 1 : getWeekDayCount());
+  }
+  updateWeekDisplay();
+  renderTasks();
+}
+
+/**
+ * Show the current settings in the menu. The end hour choices run from
+ * one to 24 hours after the start hour.
+ */
+function renderCalendarSettingsControls() {
+  const { startHour, endHour, weekStart, timeFormat, hideWeekends } =
+    calendarSettings;
+  const hourLabel = (hour) =>
+    formatTime(`${String(hour % 24).padStart(2, "0")}:00`);
+
+  const startSelect = document.getElementById("startHourSelect");
+  startSelect.innerHTML = "";
+  for (let hour = 0; hour < 24; hour++) {
+    startSelect.appendChild(new Option(hourLabel(hour), hour));
+  }
+  startSelect.value = startHour;
+
+  const endSelect = document.getElementById("endHourSelect");
+  endSelect.innerHTML = "";
+  for (let hour = startHour + 1; hour <= startHour + 24; hour++) {
+    const label = hourLabel(hour) + (hour >= 24 ? " (next day)" : "");
+    endSelect.appendChild(new Option(label, hour));
+  }
+  endSelect.value = endHour;
+
+  document.getElementById("weekStartSelect").value = weekStart;
+  document.getElementById("timeFormatSelect").value = timeFormat;
+  document.getElementById("hideWeekendsToggle").checked = hideWeekends;
+}
+
+/**
+ * Change calendar settings, redraw and save them for the user
+ * @param {Object} changes - e.g. { hideWeekends: true }
+ */
+function updateCalendarSettings(changes) {
+  applyCalendarSettings({ ...calendarSettings, ...changes });
+  saveUserSettings({ calendarSettings });
+}
+
+/**
+ * Move the start hour, keeping the end at the same time of day
+ * @param {number} startHour - New start hour (0-23)
+ */
+function updateStartHour(startHour) {
+  const endClock = calendarSettings.endHour % 24;
+  updateCalendarSettings({
+    startHour,
+    endHour: endClock <= startHour ? endClock + 24 : endClock,
+  });
+}
+
 // ============================================
 // Category Filter Functions
 // ============================================
@@ -193,593 +642,4621 @@ function initCalendar() {
  * @returns {boolean} - Whether task should be visible
  */
 function shouldShowTask(category) {
-  return categoryFilters[category] === true;
+  return categoryFilters[category] !== false;
 }
 
 /**
- * Update category filter state and re-render tasks
+ * Update category filter state, re-render tasks and remember the choice
  * @param {string} category - Category to toggle
  * @param {boolean} isChecked - New checked state
  */
 function updateCategoryFilter(category, isChecked) {
   categoryFilters[category] = isChecked;
+  savedCategoryFilters = { ...categoryFilters };
   renderTasks();
+  syncUrlState();
+  saveUserSettings({ categoryFilters });
 }
 
 // ============================================
-// Notification Functions
+// Category Functions
 // ============================================
 
 /**
- * Show a notification message to the user
- * @param {string} message - Message to display
- * @param {string} type - Type of notification ('success', 'error', 'info')
+ * Use the categories and filter state stored on the user document
+ * @param {Object} userData - users/{uid} data
  */
-function showNotification(message, type = "success") {
-  // Create notification element
-  const notification = document.createElement("div");
-  notification.className = `notification notification-${type}`;
-  notification.textContent = message;
-
-  // Add to body
-  document.body.appendChild(notification);
-
-  // Trigger animation
-  setTimeout(() => {
-    notification.classList.add("show");
-  }, 10);
+function applyCategorySettings(userData) {
+  categories = normalizeCategories(userData.categories);
+  savedCategoryFilters = { ...(userData.categoryFilters || {}) };
+  categoryFilters = { ...savedCategoryFilters };
+
+  // A shared link's filter wins over the saved one on first load
+  if (urlCategoryFilter) {
+    applyUrlCategories(urlCategoryFilter);
+    urlCategoryFilter = null;
+  }
 
-  // Remove after 3 seconds
-  setTimeout(() => {
-    notification.classList.remove("show");
-    setTimeout(() => {
-      notification.remove();
-    }, 300);
-  }, 3000);
+  renderCategoryControls();
+  renderTasks();
+  syncUrlState();
 }
 
-// ============================================
-// Drag and Drop System
-// ============================================
+/**
+ * Paint an element in a category's colors (read by MainPage.css)
+ * @param {HTMLElement} element - Task item, month dot, agenda item, ...
+ * @param {string} categoryId - Category id
+ */
+function applyCategoryColor(element, categoryId) {
+  const { start, end } = getCategoryColors(findCategory(categories, categoryId));
+  element.style.setProperty("--category-color", start);
+  element.style.setProperty("--category-color-end", end);
+}
 
 /**
- * Handle mouse/touch down event - start of drag
+ * Rebuild the filter menu and the task modal's category select
  */
-function handleMouseDown(e, task, taskElement) {
-  // Don't drag if clicking delete button
-  if (e.target.classList.contains("task-delete")) {
-    return;
-  }
+function renderCategoryControls() {
+  const filterList = document.getElementById("categoryFilterList");
+  filterList.innerHTML = "";
+
+  // Archived categories stay listed while filtered off, or their tasks
+  // could never be shown again
+  const listed = categories.filter(
+    (category) => !category.archived || !shouldShowTask(category.id)
+  );
 
-  isDragging = false;
-  draggedTask = task;
-  draggedElement = taskElement;
+  listed.forEach((category) => {
+    const label = document.createElement("label");
+    label.className = "category-filter-label";
 
-  // Get position from mouse or touch
-  const clientX = e.type === "touchstart" ? e.touches[0].clientX : e.clientX;
-  const clientY = e.type === "touchstart" ? e.touches[0].clientY : e.clientY;
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "category-filter";
+    checkbox.dataset.category = category.id;
+    checkbox.checked = shouldShowTask(category.id);
+    checkbox.addEventListener("change", (e) => {
+      updateCategoryFilter(category.id, e.target.checked);
+    });
 
-  startX = clientX;
-  startY = clientY;
-  currentX = clientX;
-  currentY = clientY;
+    const swatch = document.createElement("span");
+    swatch.className = "category-swatch";
+    applyCategoryColor(swatch, category.id);
 
-  // Add appropriate event listeners
-  if (e.type === "touchstart") {
-    document.addEventListener("touchmove", handleTouchMove, { passive: false });
-    document.addEventListener("touchend", handleTouchEnd);
-    document.addEventListener("touchcancel", handleTouchEnd);
-  } else {
-    document.addEventListener("mousemove", handleMouseMove);
-    document.addEventListener("mouseup", handleMouseUp);
-  }
+    label.appendChild(checkbox);
+    label.appendChild(swatch);
+    label.appendChild(
+      document.createTextNode(
+        category.archived ? `${category.name} (archived)` : category.name
+      )
+    );
+    filterList.appendChild(label);
+  });
 
-  // Prevent scrolling while dragging
-  const scheduleBox = document.querySelector(".schedule-box");
-  if (scheduleBox) {
-    scheduleBox.style.overflow = "hidden";
-  }
+  fillCategorySelect(document.getElementById("taskCategory"));
+  fillReminderCategorySelect(document.getElementById("reminder-category"));
+  fillReminderCategorySelect(
+    document.getElementById("group-reminder-category")
+  );
 
-  e.preventDefault();
-  e.stopPropagation();
+  // Reminder cards and filter chips show category names and colors
+  renderReminderList("personal");
+  renderReminderList("group");
 }
 
 /**
- * Handle mouse move during drag
+ * Fill a reminder form's category select: "No category" first, then the
+ * active categories
+ * @param {HTMLSelectElement} select - Select to fill
  */
-function handleMouseMove(e) {
-  if (!draggedTask) return;
+function fillReminderCategorySelect(select) {
+  const previous = select.value;
+  fillCategorySelect(select);
 
-  currentX = e.clientX;
-  currentY = e.clientY;
-  handleDragMove(currentX, currentY);
-  e.preventDefault();
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "No category";
+  select.prepend(none);
+
+  select.value = [...select.options].some((o) => o.value === previous)
+    ? previous
+    : "";
 }
 
 /**
- * Handle touch move during drag
+ * Fill a select with the active categories
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {string} [selectedId] - Category to select; kept as an option even
+ *                                when archived so editing a task keeps it
  */
-function handleTouchMove(e) {
-  if (!draggedTask) return;
+function fillCategorySelect(select, selectedId = null) {
+  const previous = selectedId || select.value;
+  const options = getActiveCategories(categories);
+  if (selectedId && !options.some((category) => category.id === selectedId)) {
+    options.push(findCategory(categories, selectedId));
+  }
 
-  currentX = e.touches[0].clientX;
-  currentY = e.touches[0].clientY;
-  handleDragMove(currentX, currentY);
-  e.preventDefault();
+  select.innerHTML = "";
+  options.forEach((category) => {
+    const option = document.createElement("option");
+    option.value = category.id;
+    option.textContent = category.archived
+      ? `${category.name} (archived)`
+      : category.name;
+    select.appendChild(option);
+  });
+
+  if (options.some((category) => category.id === previous)) {
+    select.value = previous;
+  }
 }
 
 /**
- * Common drag move logic for both mouse and touch
+ * Save fields on the current user's document
+ * @param {Object} fields - Fields to update
  */
-function handleDragMove(x, y) {
-  const deltaX = Math.abs(x - startX);
-  const deltaY = Math.abs(y - startY);
+function saveUserSettings(fields) {
+  if (!currentUser) return;
 
-  // Start dragging after 3px movement threshold
-  if (!isDragging && (deltaX > 3 || deltaY > 3)) {
-    isDragging = true;
+  // Not awaited: offline, the write only completes once back online
+  const ref = doc(db, "users", currentUser.uid);
+  trackWrite(ref.path, updateDoc(ref, fields), { name: "Your settings" });
+}
 
-    // Create visual clone of task
-    dragClone = draggedElement.cloneNode(true);
-    dragClone.style.position = "fixed";
-    dragClone.style.pointerEvents = "none";
-    dragClone.style.opacity = "0.8";
-    dragClone.style.zIndex = "10000";
-    dragClone.style.width = draggedElement.offsetWidth + "px";
-    dragClone.style.height = draggedElement.offsetHeight + "px";
-    dragClone.style.cursor = "grabbing";
-    dragClone.style.transform = "scale(1.05)";
-    document.body.appendChild(dragClone);
+/**
+ * Open the category manager on a copy of the current list
+ */
+function openCategoryManager() {
+  categoryDraft = categories.map((category) => ({ ...category }));
+  renderCategoryManager();
+  document.getElementById("categoryModal").style.display = "block";
+}
 
-    // Fade out original element
-    draggedElement.style.opacity = "0.3";
-  }
+function closeCategoryManager() {
+  categoryDraft = [];
+  document.getElementById("addCategoryForm").reset();
+  document.getElementById("categoryModal").style.display = "none";
+}
 
-  if (isDragging && dragClone) {
-    // Move clone to follow cursor
-    dragClone.style.left = x - draggedElement.offsetWidth / 2 + "px";
-    dragClone.style.top = y - 20 + "px";
+/**
+ * Render one editable row per category in the manager
+ */
+function renderCategoryManager() {
+  const list = document.getElementById("categoryList");
+  list.innerHTML = "";
 
-    // Auto-scroll functionality
-    const scheduleBox = document.querySelector(".schedule-box");
-    if (scheduleBox) {
-      const rect = scheduleBox.getBoundingClientRect();
+  categoryDraft.forEach((category, index) => {
+    const row = document.createElement("div");
+    row.className = "category-row";
+    if (category.archived) row.classList.add("archived");
+
+    const color = document.createElement("input");
+    color.type = "color";
+    color.className = "category-color";
+    color.value = category.color;
+    color.title = "Color";
+    color.addEventListener("input", (e) => {
+      category.color = e.target.value;
+    });
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "category-name";
+    name.value = category.name;
+    name.addEventListener("input", (e) => {
+      category.name = e.target.value;
+    });
+
+    const up = document.createElement("button");
+    up.type = "button";
+    up.className = "category-move";
+    up.textContent = "↑";
+    up.title = "Move up";
+    up.disabled = index === 0;
+    up.addEventListener("click", () => moveCategory(index, -1));
+
+    const down = document.createElement("button");
+    down.type = "button";
+    down.className = "category-move";
+    down.textContent = "↓";
+    down.title = "Move down";
+    down.disabled = index === categoryDraft.length - 1;
+    down.addEventListener("click", () => moveCategory(index, 1));
+
+    const archive = document.createElement("button");
+    archive.type = "button";
+    archive.className = "category-archive";
+    archive.textContent = category.archived ? "Restore" : "Archive";
+    archive.addEventListener("click", () => {
+      category.archived = !category.archived;
+      renderCategoryManager();
+    });
+
+    row.appendChild(color);
+    row.appendChild(name);
+    row.appendChild(up);
+    row.appendChild(down);
+    row.appendChild(archive);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Move a category up or down in the manager
+ * @param {number} index - Current position
+ * @param {number} offset - -1 for up, 1 for down
+ */
+function moveCategory(index, offset) {
+  const [category] = categoryDraft.splice(index, 1);
+  categoryDraft.splice(index + offset, 0, category);
+  renderCategoryManager();
+}
+
+/**
+ * Add a category from the manager's "new category" row
+ */
+function addCategory(e) {
+  e.preventDefault();
+
+  const name = document.getElementById("newCategoryName").value.trim();
+  if (!name) return;
+
+  if (
+    categoryDraft.some(
+      (category) => category.name.trim().toLowerCase() === name.toLowerCase()
+    )
+  ) {
+    showNotification("A category with this name already exists", "error");
+    return;
+  }
+
+  categoryDraft.push({
+    id: createCategoryId(name, categoryDraft),
+    name,
+    color: document.getElementById("newCategoryColor").value,
+    order: categoryDraft.length,
+    archived: false,
+  });
+
+  document.getElementById("newCategoryName").value = "";
+  renderCategoryManager();
+}
+
+/**
+ * Validate and store the edited category list
+ */
+function saveCategoryManager() {
+  const names = categoryDraft.map((category) =>
+    category.name.trim().toLowerCase()
+  );
+
+  if (names.some((name) => !name)) {
+    showNotification("Category names can't be empty", "error");
+    return;
+  }
+  if (new Set(names).size !== names.length) {
+    showNotification("Category names must be different", "error");
+    return;
+  }
+  if (!getActiveCategories(categoryDraft).length) {
+    showNotification("Keep at least one category active", "error");
+    return;
+  }
+
+  categories = normalizeCategories(
+    categoryDraft.map((category, index) => ({
+      ...category,
+      name: category.name.trim(),
+      order: index,
+    }))
+  );
+
+  closeCategoryManager();
+  renderCategoryControls();
+  renderTasks();
+
+  saveUserSettings({ categories });
+  showNotification("Categories saved", "success");
+}
+
+// ============================================
+// Notification Functions
+// ============================================
+
+/**
+ * Show a notification message to the user
+ * @param {string} message - Message to display
+ * @param {string} type - Type of notification ('success', 'error', 'info')
+ */
+function showNotification(message, type = "success", action = null) {
+  // Create notification element
+  const notification = document.createElement("div");
+  notification.className = `notification notification-${type}`;
+  notification.textContent = message;
+
+  const dismiss = () => {
+    notification.classList.remove("show");
+    setTimeout(() => {
+      notification.remove();
+    }, 300);
+  };
+
+  // Optional action button, e.g. { label: "Undo", onClick }
+  if (action) {
+    const button = document.createElement("button");
+    button.className = "notification-action";
+    button.textContent = action.label;
+    button.addEventListener("click", () => {
+      dismiss();
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+
+  // Add to body
+  document.body.appendChild(notification);
+
+  // Trigger animation
+  setTimeout(() => {
+    notification.classList.add("show");
+  }, 10);
+
+  // Remove after 3 seconds (5 when there is an action to click)
+  setTimeout(dismiss, action ? 5000 : 3000);
+}
+
+// ============================================
+// Undo / Redo
+// ============================================
+
+/**
+ * Run an action and record the documents it changes as one history entry.
+ * The action must write through the tracked helpers below. Actions started
+ * while another is still running wait for it, so the writes of one never end
+ * up in the other's entry; an action must not start another one itself.
+ * @param {string} label - Shown when undoing, e.g. "Move task"
+ * @param {Function} action - Async function doing the writes
+ * @returns {Promise<Object|null>} - History entry, or null if nothing changed
+ */
+function runWithHistory(label, action) {
+  const run = historyQueue.then(async () => {
+    const entry = { label, changes: [] };
+    historyEntry = entry;
+    try {
+      await action();
+    } finally {
+      historyEntry = null;
+      changeHistory.push(entry);
+    }
+    return entry.changes.length ? entry : null;
+  });
+
+  // A failed action does not hold up the ones after it
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+async function readDocData(ref) {
+  // Offline, the local cache is all there is
+  const snapshot = navigator.onLine
+    ? await getDoc(ref)
+    : await getDocFromCache(ref);
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+// Document as this client last wrote it: the cache holds writes the server
+// has not seen yet, so it is read first, and the server only if the cache
+// doesn't know the document
+async function readLatestDocData(ref) {
+  let snapshot;
+  try {
+    snapshot = await getDocFromCache(ref);
+  } catch {
+    return readDocData(ref);
+  }
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+// Document as the local cache has it, including changes not yet sent
+async function readCachedDocData(ref) {
+  try {
+    const snapshot = await getDocFromCache(ref);
+    return snapshot.exists() ? snapshot.data() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember a document's state before and after a write of the current action
+ */
+function recordChange(ref, before, after) {
+  if (!historyEntry || (!before && !after)) return;
+
+  const existing = historyEntry.changes.find(
+    (change) => change.path === ref.path
+  );
+  if (existing) {
+    existing.after = after;
+  } else {
+    historyEntry.changes.push({ path: ref.path, before, after });
+  }
+}
+
+// Firestore writes that are recorded while an action runs with history.
+// They return once the change is in the local cache; sending it to the
+// server is followed by the sync indicator (see Offline Sync).
+
+async function trackedAddDoc(collectionRef, data) {
+  // The id is made locally, so this works offline too
+  const ref = doc(collectionRef);
+  trackWrite(ref.path, setDoc(ref, data), { name: data.name || data.title });
+  if (historyEntry) recordChange(ref, null, await readCachedDocData(ref));
+  return ref;
+}
+
+// Create a document under an id chosen by the caller
+async function trackedCreateDoc(ref, data) {
+  trackWrite(ref.path, setDoc(ref, data), { name: data.name || data.title });
+  if (historyEntry) recordChange(ref, null, await readCachedDocData(ref));
+}
+
+async function trackedUpdateDoc(ref, changes) {
+  const before = historyEntry ? await readLatestDocData(ref) : null;
+  const change = trackWrite(
+    ref.path,
+    updateDoc(ref, { ...changes, rev: increment(1) })
+  );
+
+  const after = await readCachedDocData(ref);
+  change.name = after?.name || after?.title;
+  change.expectedRev = after?.rev;
+  savePendingChanges();
+  if (historyEntry) recordChange(ref, before, after);
+}
+
+async function trackedDeleteDoc(ref) {
+  const before = historyEntry ? await readLatestDocData(ref) : null;
+  trackWrite(ref.path, deleteDoc(ref), { name: before?.name || before?.title });
+  recordChange(ref, before, null);
+}
+
+// Delete several documents together, in batches of at most 500 writes
+async function trackedDeleteDocs(refs) {
+  const befores = historyEntry
+    ? await Promise.all(refs.map((ref) => readLatestDocData(ref)))
+    : [];
+  for (let i = 0; i < refs.length; i += 500) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + 500).forEach((ref) => batch.delete(ref));
+    trackWrite(refs[i].path, batch.commit(), {
+      name: befores[i]?.name || befores[i]?.title,
+    });
+  }
+  refs.forEach((ref, i) => recordChange(ref, befores[i] || null, null));
+}
+
+/**
+ * Write one side of a history entry back, in batches of at most 500 writes.
+ * Restoring a document counts as a new revision (rev goes up, never back),
+ * so the offline conflict check still sees it as a change.
+ * @param {Object} entry - History entry
+ * @param {string} side - "before" to undo, "after" to redo
+ */
+async function applyHistoryEntry(entry, side) {
+  const changes =
+    side === "before" ? [...entry.changes].reverse() : entry.changes;
+  const currents = await Promise.all(
+    changes.map((change) => readLatestDocData(doc(db, change.path)))
+  );
+
+  for (let i = 0; i < changes.length; i += 500) {
+    const batch = writeBatch(db);
+    changes.slice(i, i + 500).forEach((change, offset) => {
+      const ref = doc(db, change.path);
+      const current = currents[i + offset];
+      const { rev, ...data } = change[side] || {};
+
+      if (!change[side]) {
+        batch.delete(ref);
+      } else if (current) {
+        // Fields added since go away; everything else is written back
+        const removed = Object.keys(current)
+          .filter((key) => key !== "rev" && !(key in data))
+          .map((key) => [key, deleteField()]);
+        batch.update(ref, {
+          ...data,
+          ...Object.fromEntries(removed),
+          rev: increment(1),
+        });
+      } else {
+        batch.set(ref, { ...data, rev: (rev || 0) + 1 });
+      }
+    });
+    trackWrite(changes[i].path, batch.commit(), { name: entry.label });
+  }
+}
+
+/**
+ * Toast action that undoes an entry
+ * @param {Object|null} entry - History entry
+ * @returns {Object|null} - Action for showNotification()
+ */
+function undoButton(entry) {
+  return entry ? { label: "Undo", onClick: () => undoHistory(entry) } : null;
+}
+
+/**
+ * Undo the latest action
+ * @param {Object} [expected] - From a toast: only undo if still the latest
+ */
+async function undoHistory(expected = null) {
+  const entry = changeHistory.peekUndo();
+  if (!entry) {
+    showNotification("Nothing to undo", "info");
+    return;
+  }
+  if (expected && entry !== expected) {
+    showNotification("Undo newer changes first (Ctrl+Z)", "info");
+    return;
+  }
+
+  try {
+    // null while another undo or redo is still being applied
+    if (!(await changeHistory.undo(applyHistoryEntry))) return;
+    showNotification(`Undone: ${entry.label}`, "info", {
+      label: "Redo",
+      onClick: () => redoHistory(entry),
+    });
+  } catch (error) {
+    console.error("Error undoing:", error);
+    showNotification("Failed to undo", "error");
+  }
+}
+
+/**
+ * Redo the latest undone action
+ * @param {Object} [expected] - From a toast: only redo if still the latest
+ */
+async function redoHistory(expected = null) {
+  const entry = changeHistory.peekRedo();
+  if (!entry) {
+    showNotification("Nothing to redo", "info");
+    return;
+  }
+  if (expected && entry !== expected) return;
+
+  try {
+    if (!(await changeHistory.redo(applyHistoryEntry))) return;
+    showNotification(`Redone: ${entry.label}`, "info", undoButton(entry));
+  } catch (error) {
+    console.error("Error redoing:", error);
+    showNotification("Failed to redo", "error");
+  }
+}
+
+// ============================================
+// Offline Sync
+// ============================================
+// Firestore's local cache keeps the planner usable offline: writes land in
+// the cache at once and are sent when the connection is back (even after a
+// reload). The changes not yet on the server are also listed here, for the
+// status in the navbar and to spot conflicts. The list is kept in
+// localStorage so it survives reloads:
+//   { id, path, name, offline, expectedRev }
+// Tracked updates bump a `rev` counter on the document. If a change made
+// offline reaches the server and finds a higher rev than the one it
+// produced locally, the document was changed elsewhere in the meantime;
+// Firestore keeps the last write, so the user is told which documents
+// to check.
+
+let pendingChanges = [];
+let waitingForSync = false;
+
+// Each user has their own list, so a shared browser keeps them apart
+function getPendingChangesKey() {
+  return `pendingChanges:${currentUser.uid}`;
+}
+
+/**
+ * Pick up the signed-in user's list (empty when signed out)
+ */
+function loadPendingChanges() {
+  try {
+    pendingChanges = currentUser
+      ? JSON.parse(localStorage.getItem(getPendingChangesKey())) || []
+      : [];
+  } catch {
+    pendingChanges = [];
+  }
+  updateSyncStatus();
+}
+
+function savePendingChanges() {
+  if (!currentUser) return;
+  localStorage.setItem(getPendingChangesKey(), JSON.stringify(pendingChanges));
+}
+
+/**
+ * List a write until the server has it. The write promise only settles
+ * then, which never happens while offline, so callers don't wait for it.
+ * @param {string} path - Document path (the first one, for batches)
+ * @param {Promise} write - Firestore write
+ * @param {Object} [details] - e.g. { name } for conflict messages
+ * @returns {Object} - The pending change
+ */
+function trackWrite(path, write, details = {}) {
+  const change = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    path,
+    offline: !navigator.onLine,
+    ...details,
+  };
+  pendingChanges.push(change);
+  savePendingChanges();
+  updateSyncStatus();
+
+  write.catch((error) => {
+    console.error("Error saving change:", error);
+    forgetPendingChanges([change]);
+    showSyncConflicts([
+      {
+        ...change,
+        reason: error.code === "not-found" ? "deleted" : "failed",
+      },
+    ]);
+  });
+
+  watchPendingWrites();
+  return change;
+}
+
+function forgetPendingChanges(changes) {
+  const ids = new Set(changes.map((change) => change.id));
+  pendingChanges = pendingChanges.filter((change) => !ids.has(change.id));
+  savePendingChanges();
+  updateSyncStatus();
+}
+
+/**
+ * Wait until Firestore has sent everything listed so far, then check the
+ * offline changes for conflicts. Also picks up changes of an earlier visit.
+ */
+async function watchPendingWrites() {
+  if (waitingForSync || !currentUser || !pendingChanges.length) return;
+
+  waitingForSync = true;
+  const sent = [...pendingChanges];
+  try {
+    await waitForPendingWrites(db);
+  } catch (error) {
+    // The user signed out; their queue stays for the next login
+    console.error("Error waiting for pending writes:", error);
+    return;
+  } finally {
+    waitingForSync = false;
+  }
+
+  forgetPendingChanges(sent);
+  showSyncConflicts(await findSyncConflicts(sent));
+  watchPendingWrites();
+}
+
+/**
+ * Offline updates whose document was changed or deleted elsewhere
+ * @param {Object[]} changes - Pending changes that reached the server
+ * @returns {Promise<Object[]>} - Those changes, with a reason
+ */
+async function findSyncConflicts(changes) {
+  // Several updates of one document: the last one tells what rev to expect
+  const latest = new Map();
+  changes
+    .filter((change) => change.offline && change.expectedRev != null)
+    .forEach((change) => latest.set(change.path, change));
+
+  const conflicts = [];
+  for (const change of latest.values()) {
+    try {
+      const snapshot = await getDocFromServer(doc(db, change.path));
+      if (!snapshot.exists()) {
+        conflicts.push({ ...change, reason: "deleted" });
+      } else if ((snapshot.data().rev || 0) > change.expectedRev) {
+        conflicts.push({ ...change, reason: "changed" });
+      }
+    } catch (error) {
+      console.error("Error checking for conflicts:", error);
+    }
+  }
+  return conflicts;
+}
+
+const SYNC_CONFLICT_MESSAGES = {
+  changed:
+    "was changed elsewhere while you were offline; yours was saved over it.",
+  deleted: "was deleted elsewhere. Your change could not be saved.",
+  failed: "could not be saved.",
+};
+
+/**
+ * Tell the user about changes that clashed with edits made elsewhere
+ * @param {Object[]} conflicts - Pending changes with a reason
+ */
+function showSyncConflicts(conflicts) {
+  if (!conflicts.length) return;
+
+  const modal = document.getElementById("syncConflictModal");
+  const list = document.getElementById("syncConflictList");
+
+  list.innerHTML = "";
+  conflicts.forEach((conflict) => {
+    const item = document.createElement("li");
+    item.className = "conflict-item";
+
+    const text = document.createElement("span");
+    const name = document.createElement("span");
+    name.className = "conflict-name";
+    name.textContent = conflict.name || "An item";
+    text.appendChild(name);
+    text.append(` ${SYNC_CONFLICT_MESSAGES[conflict.reason]}`);
+    item.appendChild(text);
+
+    // Tasks that still exist can be opened to check them
+    const [collectionName, taskId] = conflict.path.split("/");
+    const task = tasks.find((t) => t.firestoreId === taskId);
+    if (collectionName === "tasks" && task && conflict.reason === "changed") {
+      const openBtn = document.createElement("button");
+      openBtn.type = "button";
+      openBtn.className = "sync-conflict-open";
+      openBtn.textContent = "Open";
+      openBtn.addEventListener("click", () => {
+        modal.style.display = "none";
+        openModal(task);
+      });
+      item.appendChild(openBtn);
+    }
+
+    list.appendChild(item);
+  });
+
+  modal.style.display = "block";
+}
+
+/**
+ * Show "offline", "N changes pending" or "synced" in the navbar
+ */
+function updateSyncStatus() {
+  const status = document.getElementById("syncStatus");
+  if (!status) return;
+
+  const count = pendingChanges.length;
+  const changes = `${count} change${count === 1 ? "" : "s"}`;
+
+  if (!navigator.onLine) {
+    status.className = "sync-status offline";
+    status.textContent = count ? `Offline · ${changes} pending` : "Offline";
+  } else if (count) {
+    status.className = "sync-status pending";
+    status.textContent = `Syncing ${changes}…`;
+  } else {
+    status.className = "sync-status synced";
+    status.textContent = "✓ Synced";
+  }
+}
+
+function handleConnectionChange() {
+  updateSyncStatus();
+  if (navigator.onLine) {
+    watchPendingWrites();
+  } else {
+    showNotification("You are offline. Changes will sync later.", "info");
+  }
+}
+
+// ============================================
+// Drag and Drop System
+// ============================================
+
+/**
+ * Handle mouse/touch down event - start of drag
+ */
+function handleMouseDown(e, task, taskElement) {
+  // Don't drag if clicking the delete or status button
+  if (
+    e.target.classList.contains("task-delete") ||
+    e.target.classList.contains("task-status")
+  ) {
+    return;
+  }
+
+  // The bottom edge handle resizes instead of moving
+  if (e.target.classList.contains("task-resize")) {
+    handleResizeStart(e, task, taskElement);
+    return;
+  }
+
+  isDragging = false;
+  draggedTask = task;
+  draggedElement = taskElement;
+
+  // Get position from mouse or touch
+  const clientX = e.type === "touchstart" ? e.touches[0].clientX : e.clientX;
+  const clientY = e.type === "touchstart" ? e.touches[0].clientY : e.clientY;
+
+  startX = clientX;
+  startY = clientY;
+  currentX = clientX;
+  currentY = clientY;
+
+  // Remember where the task was grabbed so its top edge sets the drop time
+  const rect = taskElement.getBoundingClientRect();
+  grabOffsetX = clientX - rect.left;
+  grabOffsetY = clientY - rect.top;
+
+  // Add appropriate event listeners
+  if (e.type === "touchstart") {
+    document.addEventListener("touchmove", handleTouchMove, { passive: false });
+    document.addEventListener("touchend", handleTouchEnd);
+    document.addEventListener("touchcancel", handleTouchEnd);
+  } else {
+    document.addEventListener("mousemove", handleMouseMove);
+    document.addEventListener("mouseup", handleMouseUp);
+  }
+
+  // Prevent scrolling while dragging
+  const scheduleBox = document.querySelector(".schedule-box");
+  if (scheduleBox) {
+    scheduleBox.style.overflow = "hidden";
+  }
+
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Handle mouse move during drag
+ */
+function handleMouseMove(e) {
+  if (!draggedTask) return;
+
+  currentX = e.clientX;
+  currentY = e.clientY;
+  handleDragMove(currentX, currentY);
+  e.preventDefault();
+}
+
+/**
+ * Handle touch move during drag
+ */
+function handleTouchMove(e) {
+  if (!draggedTask) return;
+
+  currentX = e.touches[0].clientX;
+  currentY = e.touches[0].clientY;
+  handleDragMove(currentX, currentY);
+  e.preventDefault();
+}
+
+/**
+ * Common drag move logic for both mouse and touch
+ */
+function handleDragMove(x, y) {
+  const deltaX = Math.abs(x - startX);
+  const deltaY = Math.abs(y - startY);
+
+  // Start dragging after 3px movement threshold
+  if (!isDragging && (deltaX > 3 || deltaY > 3)) {
+    isDragging = true;
+
+    // Create visual clone of task
+    dragClone = draggedElement.cloneNode(true);
+    dragClone.style.position = "fixed";
+    dragClone.style.pointerEvents = "none";
+    dragClone.style.opacity = "0.8";
+    dragClone.style.zIndex = "10000";
+    dragClone.style.width = draggedElement.offsetWidth + "px";
+    dragClone.style.height = draggedElement.offsetHeight + "px";
+    dragClone.style.cursor = "grabbing";
+    dragClone.style.transform = "scale(1.05)";
+    document.body.appendChild(dragClone);
+
+    // Fade out original element
+    draggedElement.style.opacity = "0.3";
+  }
+
+  if (isDragging && dragClone) {
+    // Move clone to follow cursor
+    dragClone.style.left = x - grabOffsetX + "px";
+    dragClone.style.top = y - grabOffsetY + "px";
+
+    // Auto-scroll functionality
+    const scheduleBox = document.querySelector(".schedule-box");
+    if (scheduleBox) {
+      const rect = scheduleBox.getBoundingClientRect();
       const scrollThreshold = 50; // pixels from edge to trigger scroll
       const scrollSpeed = 10; // pixels per interval
 
-      // Clear existing interval
-      if (autoScrollInterval) {
-        clearInterval(autoScrollInterval);
-        autoScrollInterval = null;
-      }
+      // Clear existing interval
+      if (autoScrollInterval) {
+        clearInterval(autoScrollInterval);
+        autoScrollInterval = null;
+      }
+
+      // Check if near top edge
+      if (y - rect.top < scrollThreshold && y > rect.top) {
+        autoScrollInterval = setInterval(() => {
+          scheduleBox.scrollTop -= scrollSpeed;
+        }, 20);
+      }
+      // Check if near bottom edge
+      else if (rect.bottom - y < scrollThreshold && y < rect.bottom) {
+        autoScrollInterval = setInterval(() => {
+          scheduleBox.scrollTop += scrollSpeed;
+        }, 20);
+      }
+
+      // Check if near left edge
+      else if (x - rect.left < scrollThreshold && x > rect.left) {
+        autoScrollInterval = setInterval(() => {
+          scheduleBox.scrollLeft -= scrollSpeed;
+        }, 20);
+      }
+      // Check if near right edge
+      else if (rect.right - x < scrollThreshold && x < rect.right) {
+        autoScrollInterval = setInterval(() => {
+          scheduleBox.scrollLeft += scrollSpeed;
+        }, 20);
+      }
+    }
+
+    // Find cell under cursor
+    const elements = document.elementsFromPoint(x, y);
+
+    // Remove all highlights
+    document.querySelectorAll(".day-cell").forEach((cell) => {
+      cell.classList.remove("drag-over");
+    });
+
+    // Highlight cell under cursor
+    const dayCell = elements.find((el) => el.classList.contains("day-cell"));
+    if (dayCell) {
+      dayCell.classList.add("drag-over");
+    }
+
+    // Show where (and when) the task would land
+    updateDropGhost(getDropTarget(x, y - grabOffsetY));
+  }
+}
+
+/**
+ * Work out the drop day and start time from a point on the grid.
+ * The minute comes from the vertical position inside the hour cell,
+ * snapped to the user's snap setting.
+ * @param {number} x - Client X
+ * @param {number} y - Client Y of the dragged task's top edge
+ * @returns {Object|null} - { dayIndex, start } with start in minutes from midnight
+ */
+function getDropTarget(x, y) {
+  let dayCell = document
+    .elementsFromPoint(x, y)
+    .find((el) => el.classList.contains("day-cell"));
+
+  // Top edge above the grid: fall back to the cell under the pointer
+  if (!dayCell) {
+    dayCell = document
+      .elementsFromPoint(x, y + grabOffsetY)
+      .find((el) => el.classList.contains("day-cell"));
+    if (!dayCell) return null;
+    y = dayCell.getBoundingClientRect().top;
+  }
+
+  const rect = dayCell.getBoundingClientRect();
+  const minuteInHour = Math.max(0, ((y - rect.top) / rect.height) * 60);
+  const hour = parseInt(dayCell.dataset.hour);
+
+  let start =
+    hour * 60 + Math.round(minuteInHour / snapMinutes) * snapMinutes;
+  start = Math.min(start, 24 * 60 - snapMinutes);
+
+  return { dayIndex: parseInt(dayCell.dataset.dayIndex), start };
+}
+
+/**
+ * New range of the dragged task when the grabbed piece lands on a target.
+ * Multi-day tasks keep their full length and move by the same offset as
+ * the piece that was grabbed.
+ * @param {Object} target - Result of getDropTarget()
+ * @returns {{start: number, end: number}} - Absolute minutes
+ */
+function getDroppedRange(target) {
+  const range = getTaskRange(draggedTask);
+  const grabbedAt =
+    toAbsoluteMinutes(draggedTask.pieceDate, "00:00") + draggedTask.pieceStart;
+  const droppedAt =
+    toAbsoluteMinutes(weekDates[target.dayIndex], "00:00") + target.start;
+  const shift = droppedAt - grabbedAt;
+
+  return { start: range.start + shift, end: range.end + shift };
+}
+
+/**
+ * Draw (or move) the ghost preview with the exact start-end time of the drop
+ * @param {Object|null} target - Result of getDropTarget()
+ */
+function updateDropGhost(target) {
+  if (!target || !draggedTask) {
+    removeDropGhost();
+    return;
+  }
+
+  const cell = document.querySelector(
+    `.day-cell[data-day-index="${target.dayIndex}"][data-hour="${Math.floor(
+      target.start / 60
+    )}"]`
+  );
+  if (!cell) {
+    removeDropGhost();
+    return;
+  }
+
+  if (!dropGhost) {
+    dropGhost = document.createElement("div");
+    dropGhost.className = "drop-ghost";
+  }
+
+  // The ghost has the size of the grabbed piece, the label the whole task
+  const range = getDroppedRange(target);
+  const pieceLength = draggedTask.pieceEnd - draggedTask.pieceStart;
+
+  dropGhost.style.top = `${((target.start % 60) / 60) * 100}%`;
+  dropGhost.style.height = `${(pieceLength / 60) * 100}%`;
+  dropGhost.textContent = formatTaskTime(
+    rangeToFields(range.start, range.end)
+  );
+
+  if (dropGhost.parentElement !== cell) {
+    cell.appendChild(dropGhost);
+  }
+}
+
+function removeDropGhost() {
+  if (dropGhost) {
+    dropGhost.remove();
+    dropGhost = null;
+  }
+}
+
+/**
+ * Handle mouse up - end of drag
+ */
+async function handleMouseUp(e) {
+  document.removeEventListener("mousemove", handleMouseMove);
+  document.removeEventListener("mouseup", handleMouseUp);
+  await finishDrag();
+}
+
+/**
+ * Handle touch end - end of drag
+ */
+async function handleTouchEnd(e) {
+  document.removeEventListener("touchmove", handleTouchMove);
+  document.removeEventListener("touchend", handleTouchEnd);
+  await finishDrag();
+}
+
+/**
+ * Finish drag operation and update Firestore
+ */
+async function finishDrag() {
+  // Re-enable scrolling
+  const scheduleBox = document.querySelector(".schedule-box");
+  if (scheduleBox) {
+    scheduleBox.style.overflow = "auto";
+  }
+
+  // A press without movement is a click: open the task for editing
+  if (!isDragging && draggedTask) {
+    const task = draggedTask;
+    cleanupDrag();
+    openModal(task);
+    return;
+  }
+
+  if (isDragging && draggedTask && currentUser) {
+    // Find where the task's top edge was dropped
+    const target = getDropTarget(currentX, currentY - grabOffsetY);
+
+    if (target) {
+      // Validate that old times exist
+      if (!draggedTask.date || !draggedTask.time) {
+        console.error("Task missing time information for drag operation");
+        cleanupDrag();
+        return;
+      }
+
+      // Move the whole task (all days) by the offset of the grabbed piece
+      const dropped = getDroppedRange(target);
+
+      // Update in Firestore if date/time changed
+      if (getTaskRange(draggedTask).start !== dropped.start) {
+        try {
+          const task = draggedTask;
+          const range = await resolveConflicts(dropped, task);
+          if (!range) {
+            cleanupDrag();
+            return;
+          }
+
+          const changes = rangeToFields(range.start, range.end);
+          let entry = null;
+          if (task.seriesTask) {
+            // Occurrence of a recurring series: ask how far the move applies
+            const scope = await askRecurrenceScope("Move");
+            if (scope) {
+              entry = await runWithHistory("Move task", () =>
+                applyOccurrenceChange(task, changes, scope)
+              );
+            }
+          } else {
+            const taskRef = doc(db, "tasks", task.firestoreId);
+            entry = await runWithHistory("Move task", () =>
+              trackedUpdateDoc(taskRef, withTimeZone(task, changes))
+            );
+          }
+          if (entry) {
+            showNotification("Task moved", "success", undoButton(entry));
+          }
+        } catch (error) {
+          console.error("Error updating task:", error);
+          showNotification("Failed to update task", "error");
+        }
+      }
+    }
+  }
+
+  cleanupDrag();
+}
+
+/**
+ * Cleanup drag elements and state
+ */
+function cleanupDrag() {
+  // Clear auto-scroll interval
+  if (autoScrollInterval) {
+    clearInterval(autoScrollInterval);
+    autoScrollInterval = null;
+  }
+
+  // Cleanup
+  if (dragClone) {
+    dragClone.remove();
+    dragClone = null;
+  }
+
+  if (draggedElement) {
+    draggedElement.style.opacity = "1";
+  }
+
+  document.querySelectorAll(".day-cell").forEach((cell) => {
+    cell.classList.remove("drag-over");
+  });
+
+  removeDropGhost();
+
+  isDragging = false;
+  draggedTask = null;
+  draggedElement = null;
+}
+
+// ============================================
+// Resize System
+// ============================================
+
+/**
+ * Start resizing a task from its bottom edge handle
+ */
+function handleResizeStart(e, task, taskElement) {
+  const clientY = e.type === "touchstart" ? e.touches[0].clientY : e.clientY;
+
+  // Resize works on the piece holding the end time (minutes of that day)
+  const start = task.pieceStart;
+  const end = task.pieceEnd;
+
+  resizeTask = task;
+  resizeElement = taskElement;
+  resizeStartY = clientY;
+  // Task heights are percentages of the hour cell they start in
+  resizeHourHeight = taskElement.parentElement.offsetHeight;
+  resizeStartMinutes = start;
+  resizeOriginalEnd = end;
+  resizeEnd = end;
+
+  taskElement.classList.add("resizing");
+
+  if (e.type === "touchstart") {
+    document.addEventListener("touchmove", handleResizeTouchMove, {
+      passive: false,
+    });
+    document.addEventListener("touchend", handleResizeEnd);
+    document.addEventListener("touchcancel", handleResizeEnd);
+  } else {
+    document.addEventListener("mousemove", handleResizeMouseMove);
+    document.addEventListener("mouseup", handleResizeEnd);
+  }
+
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Handle mouse move during resize
+ */
+function handleResizeMouseMove(e) {
+  handleResizeMove(e.clientY);
+  e.preventDefault();
+}
+
+/**
+ * Handle touch move during resize
+ */
+function handleResizeTouchMove(e) {
+  handleResizeMove(e.touches[0].clientY);
+  e.preventDefault();
+}
+
+/**
+ * Stretch or shrink the task, snapping the end time to 15-minute steps,
+ * and preview the new end time on the task itself
+ */
+function handleResizeMove(y) {
+  if (!resizeTask || !resizeHourHeight) return;
+
+  const deltaMinutes = ((y - resizeStartY) / resizeHourHeight) * 60;
+  let end =
+    Math.round((resizeOriginalEnd + deltaMinutes) / RESIZE_SNAP_MINUTES) *
+    RESIZE_SNAP_MINUTES;
+
+  // Stay within this piece of the grid (it ends at midnight, where the grid
+  // wraps or where off-hours begin) and keep at least one step, or what is
+  // left up to the limit, so the end always stays after the start
+  const limit =
+    getGridBreaks(calendarSettings).find(
+      (minute) => minute > resizeStartMinutes
+    ) ?? MINUTES_PER_DAY;
+  const minEnd = Math.min(resizeStartMinutes + RESIZE_SNAP_MINUTES, limit);
+  end = Math.min(Math.max(end, minEnd), limit);
+  resizeEnd = end;
+
+  resizeElement.style.height = `${((end - resizeStartMinutes) / 60) * 100}%`;
+  resizeElement.querySelector(".task-time").innerHTML = getTaskTimeHtml({
+    ...resizeTask,
+    ...getResizedEnd(),
+  });
+}
+
+/**
+ * End fields of the task being resized
+ * @returns {{endDate: string, time: string}}
+ */
+function getResizedEnd() {
+  const end = fromAbsoluteMinutes(
+    toAbsoluteMinutes(resizeTask.pieceDate, "00:00") + resizeEnd
+  );
+  return { endDate: end.date, time: end.time };
+}
+
+/**
+ * Finish resizing and save the new end time with a single update
+ */
+async function handleResizeEnd() {
+  document.removeEventListener("mousemove", handleResizeMouseMove);
+  document.removeEventListener("mouseup", handleResizeEnd);
+  document.removeEventListener("touchmove", handleResizeTouchMove);
+  document.removeEventListener("touchend", handleResizeEnd);
+  document.removeEventListener("touchcancel", handleResizeEnd);
+
+  const task = resizeTask;
+  const changed = resizeEnd !== resizeOriginalEnd;
+  const changes = task ? getResizedEnd() : null;
+
+  if (resizeElement) {
+    resizeElement.classList.remove("resizing");
+  }
+  resizeTask = null;
+  resizeElement = null;
+
+  if (!task || !changed || !currentUser) return;
+
+  try {
+    let entry;
+    if (task.seriesTask) {
+      const scope = await askRecurrenceScope("Resize");
+      if (!scope) {
+        renderTasks();
+        return;
+      }
+      entry = await runWithHistory("Resize task", () =>
+        applyOccurrenceChange(task, changes, scope)
+      );
+    } else {
+      entry = await runWithHistory("Resize task", () =>
+        trackedUpdateDoc(
+          doc(db, "tasks", task.firestoreId),
+          withTimeZone(task, changes)
+        )
+      );
+    }
+    if (entry) showNotification("Task resized", "success", undoButton(entry));
+  } catch (error) {
+    console.error("Error resizing task:", error);
+    showNotification("Failed to resize task", "error");
+    renderTasks();
+  }
+}
+
+// ============================================
+// Click-and-Drag Task Creation
+// ============================================
+
+/**
+ * Minute of the day under a point on the grid, snapped down to the snap setting
+ * @param {number} x - Client X
+ * @param {number} y - Client Y
+ * @returns {Object|null} - { dayIndex, minute }
+ */
+function getCellMinute(x, y) {
+  const dayCell = document
+    .elementsFromPoint(x, y)
+    .find((el) => el.classList.contains("day-cell"));
+  if (!dayCell) return null;
+
+  const rect = dayCell.getBoundingClientRect();
+  const minuteInHour = Math.min(
+    59,
+    Math.max(0, ((y - rect.top) / rect.height) * 60)
+  );
+  const minute =
+    parseInt(dayCell.dataset.hour) * 60 +
+    Math.floor(minuteInHour / snapMinutes) * snapMinutes;
+
+  return { dayIndex: parseInt(dayCell.dataset.dayIndex), minute };
+}
+
+/**
+ * Time range covered by the current selection. A press without sweeping
+ * selects one hour. Points are compared in grid-row order, so sweeping from
+ * an evening row into the wrapped early-morning rows at the bottom crosses
+ * midnight.
+ * @returns {{start: number, end: number}} - Minutes from the midnight of the
+ *                                            selected day (end may pass 24:00)
+ */
+function getSelectionRange() {
+  const { anchor, current } = createSelection;
+  const gridStart = calendarSettings.startHour * 60;
+  const toRow = (minute) =>
+    (minute - gridStart + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+  // Row positions from the top of the grid, at most to its bottom
+  const top = Math.min(toRow(anchor), toRow(current));
+  const bottom =
+    anchor === current
+      ? Math.min(top + 60, MINUTES_PER_DAY)
+      : Math.min(
+          Math.max(toRow(anchor), toRow(current)) + snapMinutes,
+          MINUTES_PER_DAY
+        );
+
+  // Only in the wrapped rows: the early morning of the same day
+  const start = gridStart + top;
+  const shift = start >= MINUTES_PER_DAY ? MINUTES_PER_DAY : 0;
+  return { start: start - shift, end: gridStart + bottom - shift };
+}
+
+/**
+ * Label for the selection, e.g. "22:00 - 01:30"
+ * @param {{start: number, end: number}} range - From getSelectionRange()
+ * @returns {string}
+ */
+function formatSelectionRange({ start, end }) {
+  const endMinute = end > MINUTES_PER_DAY ? end - MINUTES_PER_DAY : end;
+  return `${formatTime(minutesToTime(start))} - ${formatTime(
+    minutesToTime(endMinute)
+  )}`;
+}
+
+/**
+ * Start sweeping out a new task at a point on the grid
+ * @returns {boolean} - Whether the point was on a day cell
+ */
+function startCreateSelection(x, y) {
+  const point = getCellMinute(x, y);
+  if (!point) return false;
+
+  closeQuickCreate();
+  createSelection = {
+    dayIndex: point.dayIndex,
+    anchor: point.minute,
+    current: point.minute,
+  };
+  drawCreateSelection();
+  return true;
+}
+
+/**
+ * Extend the selection to the pointer (the day column stays fixed)
+ */
+function updateCreateSelection(x, y) {
+  if (!createSelection) return;
+
+  const point = getCellMinute(x, y);
+  if (point) {
+    createSelection.current = point.minute;
+    drawCreateSelection();
+  }
+}
+
+/**
+ * Draw the selection box with its time range
+ */
+function drawCreateSelection() {
+  clearCreateSelection(false);
+  if (!createSelection) return;
+
+  const range = getSelectionRange();
+  const { start, end } = range;
+
+  // Past midnight the selection continues in the wrapped rows at the bottom
+  const pieces =
+    end > MINUTES_PER_DAY
+      ? [
+          ...splitForGrid(start, MINUTES_PER_DAY),
+          ...splitForGrid(0, end - MINUTES_PER_DAY),
+        ]
+      : splitForGrid(start, end);
+  pieces.forEach(([pieceStart, pieceEnd], index) => {
+    const cell = document.querySelector(
+      `.day-cell[data-day-index="${
+        createSelection.dayIndex
+      }"][data-hour="${Math.floor(pieceStart / 60)}"]`
+    );
+    if (!cell) return;
+
+    const box = document.createElement("div");
+    box.className = "create-selection";
+    box.style.top = `${((pieceStart % 60) / 60) * 100}%`;
+    box.style.height = `${((pieceEnd - pieceStart) / 60) * 100}%`;
+    if (index === 0) box.textContent = formatSelectionRange(range);
+    cell.appendChild(box);
+  });
+}
+
+/**
+ * Remove the selection box
+ * @param {boolean} [resetState=true] - Also forget the selection
+ */
+function clearCreateSelection(resetState = true) {
+  document
+    .querySelectorAll(".create-selection")
+    .forEach((box) => box.remove());
+  if (resetState) createSelection = null;
+}
+
+/**
+ * Handle mouse down on the grid: sweeping starts on empty day cells only
+ */
+function handleCellMouseDown(e) {
+  if (e.button !== 0 || !e.target.classList.contains("day-cell")) return;
+  if (Date.now() - lastCellTouch < TOUCH_MOUSE_GUARD_MS) return;
+  if (!startCreateSelection(e.clientX, e.clientY)) return;
+
+  document.addEventListener("mousemove", handleCreateMouseMove);
+  document.addEventListener("mouseup", handleCreateMouseUp);
+  e.preventDefault();
+}
+
+function handleCreateMouseMove(e) {
+  updateCreateSelection(e.clientX, e.clientY);
+  e.preventDefault();
+}
+
+function handleCreateMouseUp(e) {
+  document.removeEventListener("mousemove", handleCreateMouseMove);
+  document.removeEventListener("mouseup", handleCreateMouseUp);
+  openQuickCreate(e.clientX, e.clientY);
+}
+
+/**
+ * Handle touch start on the grid: a long press starts the selection so that
+ * normal swipes still scroll the schedule
+ */
+function handleCellTouchStart(e) {
+  lastCellTouch = Date.now();
+  if (!e.target.classList.contains("day-cell")) return;
+
+  const touch = e.touches[0];
+  createTouchStart = { x: touch.clientX, y: touch.clientY };
+  createPressTimer = setTimeout(() => {
+    createPressTimer = null;
+    startCreateSelection(createTouchStart.x, createTouchStart.y);
+  }, CREATE_LONG_PRESS_MS);
+
+  document.addEventListener("touchmove", handleCreateTouchMove, {
+    passive: false,
+  });
+  document.addEventListener("touchend", handleCreateTouchEnd);
+  document.addEventListener("touchcancel", handleCreateTouchEnd);
+}
+
+function handleCreateTouchMove(e) {
+  const touch = e.touches[0];
+
+  if (createPressTimer) {
+    // Moving before the long press fires is a scroll
+    if (
+      Math.abs(touch.clientX - createTouchStart.x) > 8 ||
+      Math.abs(touch.clientY - createTouchStart.y) > 8
+    ) {
+      removeCreateTouchListeners();
+    }
+    return;
+  }
+
+  if (createSelection) {
+    updateCreateSelection(touch.clientX, touch.clientY);
+    e.preventDefault();
+  }
+}
+
+function handleCreateTouchEnd(e) {
+  lastCellTouch = Date.now();
+  removeCreateTouchListeners();
+  if (createSelection) {
+    const touch = e.changedTouches[0];
+    openQuickCreate(touch.clientX, touch.clientY);
+  }
+}
+
+function removeCreateTouchListeners() {
+  if (createPressTimer) {
+    clearTimeout(createPressTimer);
+    createPressTimer = null;
+  }
+  document.removeEventListener("touchmove", handleCreateTouchMove);
+  document.removeEventListener("touchend", handleCreateTouchEnd);
+  document.removeEventListener("touchcancel", handleCreateTouchEnd);
+}
+
+/**
+ * Show the quick-create popover next to the finished selection
+ * @param {number} x - Client X where the sweep ended
+ * @param {number} y - Client Y where the sweep ended
+ */
+function openQuickCreate(x, y) {
+  if (!createSelection) return;
+
+  const date = weekDates[createSelection.dayIndex];
+  const quickCreate = document.getElementById("quickCreate");
+
+  document.getElementById("quickCreateTime").textContent = `${parseDateKey(
+    date
+  ).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  })}, ${formatSelectionRange(getSelectionRange())}`;
+
+  quickCreate.classList.remove("hidden");
+
+  // Keep the popover inside the viewport
+  const width = quickCreate.offsetWidth;
+  const height = quickCreate.offsetHeight;
+  quickCreate.style.left = `${Math.max(
+    10,
+    Math.min(x + 10, window.innerWidth - width - 10)
+  )}px`;
+  quickCreate.style.top = `${Math.max(
+    10,
+    Math.min(y + 10, window.innerHeight - height - 10)
+  )}px`;
+
+  setTimeout(() => document.getElementById("quickCreateTitle").focus(), 0);
+}
+
+/**
+ * Hide the quick-create popover and drop the selection
+ */
+function closeQuickCreate() {
+  document.getElementById("quickCreate").classList.add("hidden");
+  document.getElementById("quickCreateForm").reset();
+  clearCreateSelection();
+}
+
+/**
+ * Date and time fields for the current selection
+ * @returns {Object} - { date, startTime, endDate, time }
+ */
+function getSelectionFields() {
+  const { start, end } = getSelectionRange();
+  const dayStart = toAbsoluteMinutes(
+    weekDates[createSelection.dayIndex],
+    "00:00"
+  );
+  return rangeToFields(dayStart + start, dayStart + end);
+}
+
+/**
+ * Create a task straight from the quick-create title field
+ */
+async function saveQuickCreate(e) {
+  e.preventDefault();
+  if (!createSelection) return;
+
+  if (!currentUser) {
+    showNotification("Please login first", "error");
+    return;
+  }
+
+  const name = document.getElementById("quickCreateTitle").value.trim();
+  if (!name) return;
+
+  const fields = getSelectionFields();
+  closeQuickCreate();
+
+  const range = await resolveConflicts(getTaskRange(fields));
+  if (!range) return;
+
+  const taskData = {
+    userId: currentUser.uid,
+    name,
+    category: document.getElementById("taskCategory").options[0].value,
+    ...rangeToFields(range.start, range.end),
+    timeZone: getTimeZone(),
+    createdAt: new Date(),
+  };
+
+  try {
+    const entry = await runWithHistory("Add task", () =>
+      trackedAddDoc(collection(db, "tasks"), taskData)
+    );
+    showNotification("Task added successfully!", "success", undoButton(entry));
+  } catch (error) {
+    console.error("Error adding task:", error);
+    showNotification("Failed to add task", "error");
+  }
+}
+
+/**
+ * Continue in the full task modal, prefilled with the selection
+ */
+function openQuickCreateInModal() {
+  if (!createSelection) return;
+
+  const fields = getSelectionFields();
+  const name = document.getElementById("quickCreateTitle").value.trim();
+  closeQuickCreate();
+
+  openModal();
+  document.getElementById("taskName").value = name;
+  document.getElementById("taskDate").value = fields.date;
+  document.getElementById("taskStartTime").value = fields.startTime;
+  document.getElementById("taskEndDate").value = fields.endDate;
+  document.getElementById("taskTime").value = fields.time;
+}
+
+// ============================================
+// Modal Functions
+// ============================================
+
+/**
+ * Open the task modal, prefilled with an existing task when editing
+ * @param {Object} [task] - Task (or recurring occurrence) to edit
+ */
+function openModal(task = null) {
+  editingTask = task;
+
+  document.getElementById("taskModalTitle").textContent = task
+    ? "Edit Task"
+    : "Add New Task";
+  document.getElementById("saveTaskBtn").textContent = task
+    ? "Save Changes"
+    : "Save Task";
+
+  if (!task) fillCategorySelect(document.getElementById("taskCategory"));
+
+  if (task) {
+    document.getElementById("taskName").value = task.name || "";
+    fillCategorySelect(
+      document.getElementById("taskCategory"),
+      task.category || "study"
+    );
+    document.getElementById("taskDate").value = task.date;
+    document.getElementById("taskStartTime").value =
+      task.startTime || task.time;
+    document.getElementById("taskEndDate").value = fromAbsoluteMinutes(
+      getTaskRange(task).end
+    ).date;
+    document.getElementById("taskTime").value = task.time;
+    fillRecurrenceForm(task.recurrence);
+  }
+
+  fillTaskDetails(task);
+  updateRecurrenceForm();
+  document.getElementById("taskModal").style.display = "block";
+}
+
+function closeModal() {
+  document.getElementById("taskModal").style.display = "none";
+  document.getElementById("taskForm").reset();
+  editingTask = null;
+  updateRecurrenceForm();
+}
+
+/**
+ * Ask whether a change to a recurring occurrence applies to this occurrence,
+ * this and following occurrences, or the whole series
+ * @param {string} action - Verb shown in the dialog title ("Move", "Delete", ...)
+ * @returns {Promise<string|null>} - "this", "following", "all" or null if cancelled
+ */
+function askRecurrenceScope(action) {
+  const modal = document.getElementById("recurrenceScopeModal");
+  document.getElementById(
+    "recurrenceScopeTitle"
+  ).textContent = `${action} recurring task`;
+  modal.style.display = "block";
+
+  return new Promise((resolve) => {
+    const onClick = (e) => {
+      const scopeBtn = e.target.closest("[data-scope]");
+      if (scopeBtn) {
+        finish(scopeBtn.dataset.scope);
+      } else if (e.target.id === "cancelScopeBtn" || e.target === modal) {
+        finish(null);
+      }
+    };
+
+    const finish = (scope) => {
+      modal.style.display = "none";
+      modal.removeEventListener("click", onClick);
+      resolve(scope);
+    };
+
+    modal.addEventListener("click", onClick);
+  });
+}
+
+// ============================================
+// Conflict Detection
+// ============================================
+
+// How far ahead "next free time" looks for room
+const FREE_SLOT_SEARCH_DAYS = 14;
+
+/**
+ * Tasks as busy ranges, with recurring series expanded.
+ * All-day tasks do not block time.
+ * @param {string} rangeStart - First date key
+ * @param {string} rangeEnd - Last date key
+ * @param {Object} [ignoreTask] - Task (or occurrence) being moved or edited
+ * @param {Object[]} [source] - Tasks to use (defaults to the loaded ones)
+ * @returns {Object[]} - [{ start, end, task }] in absolute minutes
+ */
+function getBusyRanges(
+  rangeStart,
+  rangeEnd,
+  ignoreTask = null,
+  source = tasks
+) {
+  return expandTasks(rangeStart, rangeEnd, source)
+    .filter((task) => task.date && task.time && !task.allDay)
+    .filter(
+      (task) =>
+        !ignoreTask ||
+        task.firestoreId !== ignoreTask.firestoreId ||
+        task.occurrenceDate !== ignoreTask.occurrenceDate
+    )
+    .map((task) => ({ ...getTaskRange(task), task }));
+}
+
+/**
+ * Tasks of a date range for conflict checks. The loaded tasks only cover the
+ * period on screen, so the range is read from Firestore; if that fails the
+ * loaded tasks are the best there is.
+ * @param {string} start - First date key
+ * @param {string} end - Last date key
+ * @returns {Promise<Object[]>}
+ */
+async function fetchConflictTasks(start, end) {
+  try {
+    return await fetchTasksInRange(currentUser.uid, start, end);
+  } catch (error) {
+    console.error("Error loading tasks for conflict check:", error);
+    return tasks;
+  }
+}
+
+/**
+ * Check a range against the user's tasks before saving it. When it overlaps
+ * other tasks the user can keep both, shift to the next free time or cancel.
+ * Recurring tasks are checked by the occurrence being saved.
+ * @param {{start: number, end: number}} range - Absolute minutes
+ * @param {Object} [ignoreTask] - Task (or occurrence) being moved or edited
+ * @returns {Promise<{start: number, end: number}|null>} - Range to save, or
+ *                                                       null if cancelled
+ */
+async function resolveConflicts(range, ignoreTask = null) {
+  const startDate = fromAbsoluteMinutes(range.start).date;
+  const endDate = fromAbsoluteMinutes(range.end - 1).date;
+  const searchEnd = addDays(startDate, FREE_SLOT_SEARCH_DAYS);
+
+  // Inside the loaded window the loaded tasks tell right away
+  const loaded =
+    taskWindow && startDate >= taskWindow.start && endDate <= taskWindow.end;
+  let source = loaded ? tasks : await fetchConflictTasks(startDate, searchEnd);
+
+  const conflicts = findConflicts(
+    range,
+    getBusyRanges(startDate, endDate, ignoreTask, source)
+  );
+  if (!conflicts.length) return range;
+
+  // The free time search reaches past the loaded window
+  if (loaded) source = await fetchConflictTasks(startDate, searchEnd);
+
+  const duration = range.end - range.start;
+  const freeStart = findFreeSlot(
+    getBusyRanges(startDate, searchEnd, ignoreTask, source),
+    duration,
+    range.start,
+    toAbsoluteMinutes(searchEnd, "00:00")
+  );
+  const shifted =
+    freeStart === null ? null : { start: freeStart, end: freeStart + duration };
+
+  const choice = await askConflictChoice(
+    conflicts.map((slot) => slot.task),
+    shifted
+  );
+  if (choice === "keep") return range;
+  if (choice === "shift") return shifted;
+  return null;
+}
+
+/**
+ * Day and time label for a task, e.g. "Mon, Oct 20, 09:00 - 10:30"
+ * @param {Object} task - Task or task fields
+ * @returns {string}
+ */
+function formatTaskWhen(task) {
+  const day = parseDateKey(task.date).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  return `${day}, ${formatTaskTime(task)}`;
+}
+
+/**
+ * Show the tasks a range collides with and ask what to do
+ * @param {Object[]} conflicting - Tasks that overlap
+ * @param {{start: number, end: number}|null} shifted - Next free range, if any
+ * @returns {Promise<string|null>} - "keep", "shift" or null if cancelled
+ */
+function askConflictChoice(conflicting, shifted) {
+  const modal = document.getElementById("conflictModal");
+  const list = document.getElementById("conflictList");
+  const shiftBtn = document.getElementById("conflictShiftBtn");
+
+  list.innerHTML = "";
+  conflicting.forEach((task) => {
+    const item = document.createElement("li");
+    item.className = "conflict-item";
+    applyCategoryColor(item, task.category);
+
+    const name = document.createElement("span");
+    name.className = "conflict-name";
+    name.textContent = task.name;
+
+    const when = document.createElement("span");
+    when.className = "conflict-time";
+    when.textContent = formatTaskWhen(task);
+
+    item.appendChild(name);
+    item.appendChild(when);
+    list.appendChild(item);
+  });
+
+  shiftBtn.disabled = !shifted;
+  shiftBtn.textContent = shifted
+    ? `Move to next free time: ${formatTaskWhen(
+        rangeToFields(shifted.start, shifted.end)
+      )}`
+    : `No free time in the next ${FREE_SLOT_SEARCH_DAYS} days`;
+
+  modal.style.display = "block";
+
+  return new Promise((resolve) => {
+    const onClick = (e) => {
+      const choiceBtn = e.target.closest("[data-choice]");
+      if (choiceBtn && !choiceBtn.disabled) {
+        finish(choiceBtn.dataset.choice);
+      } else if (e.target.id === "cancelConflictBtn" || e.target === modal) {
+        finish(null);
+      }
+    };
+
+    const finish = (choice) => {
+      modal.style.display = "none";
+      modal.removeEventListener("click", onClick);
+      resolve(choice);
+    };
+
+    modal.addEventListener("click", onClick);
+  });
+}
+
+// ============================================
+// Recurrence Form Functions
+// ============================================
+
+/**
+ * Show the recurrence inputs that apply to the selected repeat option
+ */
+function updateRecurrenceForm() {
+  const freq = document.getElementById("taskRepeat").value;
+  const endType = document.getElementById("taskRepeatEnd").value;
+
+  document
+    .getElementById("recurrenceOptions")
+    .classList.toggle("hidden", !freq);
+  document
+    .getElementById("repeatIntervalGroup")
+    .classList.toggle("hidden", freq === "weekdays");
+  document
+    .getElementById("repeatDaysGroup")
+    .classList.toggle("hidden", freq !== "weekly");
+  document.getElementById("taskRepeatUnit").textContent =
+    freq === "daily" ? "day(s)" : "week(s)";
+  document
+    .getElementById("taskRepeatUntil")
+    .classList.toggle("hidden", endType !== "until");
+  document
+    .getElementById("taskRepeatCount")
+    .classList.toggle("hidden", endType !== "count");
+}
+
+/**
+ * Prefill the recurrence inputs from an existing rule
+ * @param {Object|null} rule - Recurrence rule
+ */
+function fillRecurrenceForm(rule) {
+  document.getElementById("taskRepeat").value = rule ? rule.freq : "";
+  if (!rule) return;
+
+  document.getElementById("taskRepeatInterval").value = rule.interval || 1;
+  document.querySelectorAll(".repeat-day").forEach((checkbox) => {
+    checkbox.checked = (rule.byDay || []).includes(parseInt(checkbox.value));
+  });
+
+  if (rule.until) {
+    document.getElementById("taskRepeatEnd").value = "until";
+    document.getElementById("taskRepeatUntil").value = rule.until;
+  } else if (rule.count) {
+    document.getElementById("taskRepeatEnd").value = "count";
+    document.getElementById("taskRepeatCount").value = rule.count;
+  }
+}
+
+/**
+ * Build a recurrence rule from the task modal inputs
+ * @param {string} taskDate - First date of the series (YYYY-MM-DD)
+ * @returns {Object|null} - Recurrence rule, or null for a one-off task
+ */
+function readRecurrenceForm(taskDate) {
+  const freq = document.getElementById("taskRepeat").value;
+  if (!freq) return null;
+
+  const rule = { freq, interval: 1, byDay: null, until: null, count: null };
+
+  if (freq !== "weekdays") {
+    rule.interval = Math.max(
+      1,
+      parseInt(document.getElementById("taskRepeatInterval").value) || 1
+    );
+  }
+
+  if (freq === "weekly") {
+    const days = [...document.querySelectorAll(".repeat-day:checked")].map(
+      (checkbox) => parseInt(checkbox.value)
+    );
+    // Default to the weekday of the first occurrence
+    rule.byDay = days.length ? days : [parseDateKey(taskDate).getDay()];
+  }
+
+  const endType = document.getElementById("taskRepeatEnd").value;
+  if (endType === "until") {
+    rule.until = document.getElementById("taskRepeatUntil").value || null;
+  } else if (endType === "count") {
+    rule.count =
+      parseInt(document.getElementById("taskRepeatCount").value) || null;
+  }
+
+  return rule;
+}
+
+// ============================================
+// Task Details Functions
+// ============================================
+
+/**
+ * Fill the details panel of the task modal
+ * @param {Object|null} task - Task being edited, or null for a new task
+ */
+function fillTaskDetails(task) {
+  document.getElementById("taskDescription").value =
+    (task && task.description) || "";
+  document.getElementById("taskLocation").value = (task && task.location) || "";
+  document.getElementById("taskLinks").value = (
+    (task && task.links) ||
+    []
+  ).join("\n");
+  checklistDraft = ((task && task.checklist) || []).map((item) => ({
+    ...item,
+  }));
+
+  // Open the panel when there is something in it
+  document.getElementById("taskDetails").open = Boolean(
+    task &&
+      (task.description ||
+        task.location ||
+        (task.links && task.links.length) ||
+        checklistDraft.length)
+  );
+
+  updateDescriptionPreview();
+  renderTaskLinks();
+  renderChecklistEditor();
+}
+
+/**
+ * Read the details panel of the task modal
+ * @returns {Object} - { description, location, links, checklist }
+ */
+function readTaskDetails() {
+  return {
+    description: document.getElementById("taskDescription").value.trim(),
+    location: document.getElementById("taskLocation").value.trim(),
+    links: parseLinks(document.getElementById("taskLinks").value),
+    checklist: checklistDraft.filter((item) => item.text),
+  };
+}
+
+/**
+ * Turn the links field into a list of URLs (https:// is added when missing)
+ * @param {string} text - One URL per line
+ * @returns {string[]}
+ */
+function parseLinks(text) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((link) => (isSafeUrl(link) ? link : `https://${link}`));
+}
+
+function updateDescriptionPreview() {
+  const preview = document.getElementById("taskDescriptionPreview");
+  const html = renderMarkdown(
+    document.getElementById("taskDescription").value
+  );
+  preview.innerHTML = html;
+  preview.classList.toggle("hidden", !html);
+}
+
+function renderTaskLinks() {
+  const list = document.getElementById("taskLinkList");
+  list.innerHTML = parseLinks(document.getElementById("taskLinks").value)
+    .map(
+      (url) =>
+        `<a href="${escapeHtml(
+          url
+        )}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`
+    )
+    .join("");
+}
+
+/**
+ * Render the checklist items of the task modal
+ */
+function renderChecklistEditor() {
+  const list = document.getElementById("taskChecklist");
+  list.innerHTML = "";
+
+  checklistDraft.forEach((item, index) => {
+    const row = document.createElement("li");
+    row.className = "checklist-item";
+    if (item.done) row.classList.add("done");
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = item.done;
+    checkbox.addEventListener("change", () => {
+      item.done = checkbox.checked;
+      row.classList.toggle("done", item.done);
+    });
+
+    const text = document.createElement("input");
+    text.type = "text";
+    text.className = "checklist-text";
+    text.value = item.text;
+    text.addEventListener("input", () => {
+      item.text = text.value.trim();
+    });
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "checklist-remove";
+    remove.textContent = "×";
+    remove.title = "Remove";
+    remove.addEventListener("click", () => {
+      checklistDraft.splice(index, 1);
+      renderChecklistEditor();
+    });
+
+    row.appendChild(checkbox);
+    row.appendChild(text);
+    row.appendChild(remove);
+    list.appendChild(row);
+  });
+}
+
+function addChecklistItem() {
+  const input = document.getElementById("newChecklistItem");
+  const text = input.value.trim();
+  if (!text) return;
+
+  checklistDraft.push({ text, done: false });
+  input.value = "";
+  renderChecklistEditor();
+  input.focus();
+}
+
+/**
+ * Completed and total checklist items, e.g. "2/5"
+ * @param {Object} task - Task
+ * @returns {string} - Empty when the task has no checklist
+ */
+function getChecklistProgress(task) {
+  const checklist = task.checklist || [];
+  if (!checklist.length) return "";
+  return `${checklist.filter((item) => item.done).length}/${checklist.length}`;
+}
+
+// ============================================
+// Task Status Functions
+// ============================================
+// Tasks are marked done or skipped by the user:
+//   status: "done" | "skipped" | null, completedAt: Date | null
+// Occurrences of a recurring series keep theirs on the series, by date:
+//   occurrenceStatus: { "YYYY-MM-DD": "done" | "skipped" }
+// A task that has ended without either is shown as missed, if it ended after
+// statuses were introduced and after it was added; older history has none.
+
+// Day task statuses were introduced
+const TASK_STATUS_SINCE = "2026-10-19";
+
+const TASK_STATUS_LABELS = {
+  done: "Done",
+  skipped: "Skipped",
+  missed: "Missed",
+};
+
+// Order the quick toggle on a task cycles through
+const TASK_STATUS_CYCLE = [null, "done", "skipped"];
+
+/**
+ * Status the user set on a task or occurrence
+ * @param {Object} task - Task or occurrence
+ * @returns {string|null} - "done", "skipped" or null
+ */
+function getStoredStatus(task) {
+  if (task.seriesTask) {
+    const statuses = task.seriesTask.occurrenceStatus || {};
+    return statuses[task.occurrenceDate] || null;
+  }
+  return task.status || null;
+}
+
+/**
+ * Status to show for a task or occurrence
+ * @param {Object} task - Task or occurrence
+ * @returns {string|null} - "done", "skipped", "missed", or null if not over
+ *   yet or over before it could be marked
+ */
+function getTaskStatus(task) {
+  const stored = getStoredStatus(task);
+  if (stored) return stored;
+
+  const toMinutes = (date) => {
+    const parts = getZonedParts(date);
+    return toAbsoluteMinutes(parts.date, parts.time);
+  };
+  const end = getTaskRange(task).end;
+  const createdAt = (task.seriesTask || task).createdAt;
+  if (end < toAbsoluteMinutes(TASK_STATUS_SINCE, "00:00")) return null;
+  if (createdAt && end <= toMinutes(toJsDate(createdAt))) return null;
+
+  return end <= toMinutes(new Date()) ? "missed" : null;
+}
+
+/**
+ * Next status for the quick toggle (missed counts as no status)
+ * @param {Object} task - Task or occurrence
+ * @returns {string|null}
+ */
+function getNextStatus(task) {
+  const index = TASK_STATUS_CYCLE.indexOf(getStoredStatus(task));
+  return TASK_STATUS_CYCLE[(index + 1) % TASK_STATUS_CYCLE.length];
+}
+
+/**
+ * Mark a task or one occurrence as done or skipped, or clear its status.
+ * Reminders linked to the task (for an occurrence, to its series) are
+ * completed with it and reopened when it is no longer done.
+ * @param {Object} task - Task or occurrence
+ * @param {string|null} status - "done", "skipped" or null
+ */
+async function setTaskStatus(task, status) {
+  if (!currentUser) return;
+
+  const series = task.seriesTask;
+  const ref = doc(db, "tasks", task.firestoreId);
+  const wasDone = getStoredStatus(task) === "done";
+  const label = status
+    ? `Mark task ${TASK_STATUS_LABELS[status].toLowerCase()}`
+    : "Clear task status";
+
+  try {
+    const entry = await runWithHistory(label, async () => {
+      if (series) {
+        const occurrenceStatus = { ...(series.occurrenceStatus || {}) };
+        if (status) {
+          occurrenceStatus[task.occurrenceDate] = status;
+        } else {
+          delete occurrenceStatus[task.occurrenceDate];
+        }
+        await trackedUpdateDoc(
+          ref,
+          withTimeZone(series, { occurrenceStatus })
+        );
+      } else {
+        await trackedUpdateDoc(
+          ref,
+          withTimeZone(task, {
+            status,
+            completedAt: status === "done" ? new Date() : null,
+          })
+        );
+      }
+
+      const isDone = status === "done";
+      if (isDone !== wasDone) {
+        for (const collectionName of ["reminders", "group_reminders"]) {
+          await setLinkedRemindersCompleted(
+            currentUser.uid,
+            collectionName,
+            task.firestoreId,
+            isDone
+          );
+        }
+      }
+    });
+
+    showNotification(
+      status ? `Task marked ${status}` : "Task status cleared",
+      "success",
+      undoButton(entry)
+    );
+  } catch (error) {
+    console.error("Error updating task status:", error);
+    showNotification("Failed to update task", "error");
+  }
+}
+
+/**
+ * Complete or reopen the reminders whose eventLink points at a task
+ * @param {string} userId - Owner of the reminders
+ * @param {string} collectionName - "reminders" or "group_reminders"
+ * @param {string} firestoreId - Task document ID
+ * @param {boolean} completed - New completion state
+ */
+async function setLinkedRemindersCompleted(
+  userId,
+  collectionName,
+  firestoreId,
+  completed
+) {
+  const ref = collection(db, "users", userId, collectionName);
+  const q = query(ref, where("eventLink", "==", firestoreId));
+  const snapshot = await getDocs(q);
+
+  for (const docSnap of snapshot.docs) {
+    if (Boolean(docSnap.data().is_completed) === completed) continue;
+
+    await trackedUpdateDoc(
+      doc(db, "users", userId, collectionName, docSnap.id),
+      {
+        is_completed: completed,
+        finished_at: completed ? new Date() : null,
+        updated_at: new Date(),
+      }
+    );
+  }
+}
+
+// ============================================
+// Task Management Functions
+// ============================================
+
+/**
+ * Calculate the height of task based on duration (in minutes precision)
+ * @param {string} startTime - Start time in HH:mm format
+ * @param {string} endTime - End time in HH:mm format
+ * @returns {number} - Duration in hours (decimal)
+ */
+function calculateDuration(startTime, endTime) {
+  // Validate inputs
+  if (
+    !startTime ||
+    !endTime ||
+    typeof startTime !== "string" ||
+    typeof endTime !== "string"
+  ) {
+    console.warn(
+      "Invalid time format in calculateDuration:",
+      startTime,
+      endTime
+    );
+    return 1; // Default to 1 hour
+  }
+
+  const startParts = startTime.split(":");
+  const endParts = endTime.split(":");
+
+  if (startParts.length < 2 || endParts.length < 2) {
+    console.warn(
+      "Invalid time format in calculateDuration:",
+      startTime,
+      endTime
+    );
+    return 1; // Default to 1 hour
+  }
+
+  const startHour = parseInt(startParts[0]);
+  const startMinute = parseInt(startParts[1]) || 0;
+  const endHour = parseInt(endParts[0]);
+  const endMinute = parseInt(endParts[1]) || 0;
+
+  // Convert to total minutes
+  const startTotalMinutes = startHour * 60 + startMinute;
+  let endTotalMinutes = endHour * 60 + endMinute;
+
+  // Handle next day scenario (e.g., 23:00 to 02:00)
+  if (endTotalMinutes < startTotalMinutes) {
+    endTotalMinutes += 24 * 60; // Add 24 hours
+  }
+
+  const durationMinutes = endTotalMinutes - startTotalMinutes;
+  const durationHours = durationMinutes / 60;
+
+  // Ensure minimum duration of 5 minutes (0.083 hours)
+  return durationHours > 0.083 ? durationHours : 0.083;
+}
+
+// ============================================
+// Task Time Ranges (overnight and multi-day tasks)
+// ============================================
+
+// Tasks span from date + startTime to endDate + time. Ranges are handled
+// as minutes counted from this date so they can cross any number of days.
+const EPOCH_DATE = "1970-01-01";
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert a date and time to minutes since EPOCH_DATE
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ * @returns {number}
+ */
+function toAbsoluteMinutes(date, time) {
+  return daysBetween(EPOCH_DATE, date) * MINUTES_PER_DAY + timeToMinutes(time);
+}
+
+/**
+ * Convert minutes since EPOCH_DATE back to a date and time
+ * @param {number} total - Absolute minutes
+ * @returns {{date: string, time: string}}
+ */
+function fromAbsoluteMinutes(total) {
+  const days = Math.floor(total / MINUTES_PER_DAY);
+  return {
+    date: addDays(EPOCH_DATE, days),
+    time: minutesToTime(total - days * MINUTES_PER_DAY),
+  };
+}
+
+/**
+ * Get the start and end of a task in absolute minutes.
+ * Older tasks have no endDate: an end time before the start time means the
+ * task ends the next day, and a zero-length task is shown as one hour.
+ * @param {Object} task - Task with date, startTime, time and optional endDate
+ * @returns {{start: number, end: number}}
+ */
+function getTaskRange(task) {
+  const start = toAbsoluteMinutes(task.date, task.startTime || task.time);
+  let end = toAbsoluteMinutes(task.endDate || task.date, task.time);
+
+  if (!task.endDate && end < start) end += MINUTES_PER_DAY;
+  if (end <= start) end = start + 60;
+
+  return { start, end };
+}
+
+/**
+ * Build the stored date/time fields for a range
+ * @param {number} start - Absolute start minutes
+ * @param {number} end - Absolute end minutes
+ * @returns {Object} - { date, startTime, endDate, time }
+ */
+function rangeToFields(start, end) {
+  const from = fromAbsoluteMinutes(start);
+  const to = fromAbsoluteMinutes(end);
+  return { date: from.date, startTime: from.time, endDate: to.date, time: to.time };
+}
+
+/**
+ * Part of a task that falls on one calendar day
+ * @param {Object} task - Task
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{start: number, end: number}|null} - Minutes from that midnight
+ */
+function getDaySegment(task, date) {
+  const range = getTaskRange(task);
+  const dayStart = toAbsoluteMinutes(date, "00:00");
+  const start = Math.max(range.start, dayStart);
+  const end = Math.min(range.end, dayStart + MINUTES_PER_DAY);
+
+  if (end <= start) return null;
+  return { start: start - dayStart, end: end - dayStart };
+}
+
+/**
+ * All calendar days a task touches
+ * @param {Object} task - Task
+ * @returns {string[]} - Date keys from start day to end day
+ */
+function getTaskDates(task) {
+  const range = getTaskRange(task);
+  const dates = [];
+  for (
+    let date = task.date;
+    toAbsoluteMinutes(date, "00:00") < range.end;
+    date = addDays(date, 1)
+  ) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Split a day segment where the grid wraps (the start hour is the top row,
+ * earlier hours sit at the bottom) and where collapsed off-hours begin, so
+ * each piece is drawn contiguously over rows of one height
+ * @param {number} start - Minutes from midnight
+ * @param {number} end - Minutes from midnight
+ * @returns {Array<[number, number]>}
+ */
+function splitForGrid(start, end) {
+  const points = [
+    start,
+    ...getGridBreaks(calendarSettings).filter(
+      (minute) => minute > start && minute < end
+    ),
+    end,
+  ];
+  return points.slice(1).map((point, i) => [points[i], point]);
+}
+
+/**
+ * Assign side-by-side columns to the overlapping tasks of one day, like
+ * Google Calendar. Tasks that overlap directly or through a chain of other
+ * tasks form a cluster and share one column count so their widths line up.
+ * @param {Object[]} items - Placements with start/end in minutes;
+ *   `column` and `columns` are set on each item
+ */
+function layoutOverlaps(items) {
+  const sorted = [...items].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let cluster = [];
+  let columnEnds = [];
+  let clusterEnd = -Infinity;
+
+  const closeCluster = () => {
+    cluster.forEach((item) => {
+      item.columns = columnEnds.length;
+    });
+    cluster = [];
+    columnEnds = [];
+    clusterEnd = -Infinity;
+  };
+
+  sorted.forEach((item) => {
+    if (item.start >= clusterEnd) closeCluster();
+
+    // First column that is free by the time this task starts
+    let column = columnEnds.findIndex((end) => end <= item.start);
+    if (column === -1) {
+      column = columnEnds.length;
+      columnEnds.push(item.end);
+    } else {
+      columnEnds[column] = item.end;
+    }
+
+    item.column = column;
+    cluster.push(item);
+    clusterEnd = Math.max(clusterEnd, item.end);
+  });
+
+  closeCluster();
+}
+
+/**
+ * Render tasks in whichever view is active
+ */
+function renderTasks() {
+  if (currentView === "month") {
+    renderMonthView();
+  } else if (currentView === "agenda") {
+    renderAgendaView();
+  } else {
+    renderGridTasks();
+  }
+}
+
+/**
+ * Render all tasks on the week/day grid
+ * Uses Percentage (%) instead of Pixels for responsiveness
+ */
+function renderGridTasks() {
+  // Remove all existing task elements & overlays
+  document.querySelectorAll(".task-item").forEach((item) => item.remove());
+  document.querySelectorAll(".task-overlay").forEach((item) => item.remove());
+
+  // 1. Cut every task of the visible week into one segment per day it touches
+  const placements = [];
+
+  expandTasks(weekDates[0], weekDates[weekDates.length - 1]).forEach((task) => {
+    // Skip if invalid
+    if (!task.date || !task.time) return;
+
+    const range = getTaskRange(task);
+
+    weekDates.forEach((date, dayIndex) => {
+      const segment = getDaySegment(task, date);
+      if (!segment) return;
+
+      const dayStart = toAbsoluteMinutes(date, "00:00");
+      placements.push({
+        task,
+        date,
+        dayIndex,
+        start: segment.start,
+        end: segment.end,
+        continuesBefore: range.start < dayStart + segment.start,
+        continuesAfter: range.end > dayStart + segment.end,
+        visible: shouldShowTask(task.category || "study"),
+        column: 0,
+        columns: 1,
+      });
+    });
+  });
+
+  // 2. Put overlapping (visible) tasks side by side, per day
+  weekDates.forEach((date, dayIndex) => {
+    layoutOverlaps(
+      placements.filter((p) => p.dayIndex === dayIndex && p.visible)
+    );
+  });
+
+  // 3. Draw each segment in the cell of its start hour
+  placements.forEach((placement) => {
+    const pieces = splitForGrid(placement.start, placement.end);
+    pieces.forEach(([pieceStart, pieceEnd], pieceIndex) => {
+      renderTaskPiece(placement, pieceStart, pieceEnd, {
+        continuesBefore: placement.continuesBefore || pieceIndex > 0,
+        continuesAfter:
+          placement.continuesAfter || pieceIndex < pieces.length - 1,
+      });
+    });
+  });
+}
+
+/**
+ * Draw one contiguous piece of a task on the grid
+ * @param {Object} placement - Day segment with layout columns
+ * @param {number} pieceStart - Minutes from midnight
+ * @param {number} pieceEnd - Minutes from midnight
+ * @param {Object} flags - continuesBefore / continuesAfter
+ */
+function renderTaskPiece(placement, pieceStart, pieceEnd, flags) {
+  // Drag and resize work from the piece that was grabbed
+  const task = {
+    ...placement.task,
+    pieceDate: placement.date,
+    pieceStart,
+    pieceEnd,
+  };
+
+  const startCell = document.querySelector(
+    `.day-cell[data-day-index="${placement.dayIndex}"][data-hour="${Math.floor(
+      pieceStart / 60
+    )}"]`
+  );
+  if (!startCell) return;
+
+  const heightPercentage = ((pieceEnd - pieceStart) / 60) * 100;
+  const topPercentage = ((pieceStart % 60) / 60) * 100;
+  const widthPercentage = 100 / placement.columns;
+
+  // Create Task Element
+  const taskItem = document.createElement("div");
+  taskItem.className = "task-item";
+  taskItem.dataset.taskId = task.firestoreId;
+  if (task.occurrenceDate) {
+    taskItem.dataset.occurrenceDate = task.occurrenceDate;
+  }
+  taskItem.dataset.category = task.category || "study";
+  applyCategoryColor(taskItem, taskItem.dataset.category);
+
+  if (!placement.visible) {
+    taskItem.classList.add("hidden");
+  }
+  if (flags.continuesBefore) taskItem.classList.add("continues-before");
+  if (flags.continuesAfter) taskItem.classList.add("continues-after");
+
+  taskItem.style.position = "absolute";
+  taskItem.style.top = `${topPercentage}%`;
+  taskItem.style.left = `${placement.column * widthPercentage}%`;
+  taskItem.style.width = `${widthPercentage}%`;
+  taskItem.style.height = `${heightPercentage}%`;
+  taskItem.style.zIndex = "10";
+  taskItem.style.boxSizing = "border-box";
+
+  if (placement.columns > 1) {
+    taskItem.classList.add("task-item-narrow");
+  }
+
+  if (task.seriesTask) {
+    taskItem.classList.add("recurring");
+    taskItem.title = describeRecurrence(task.recurrence);
+  }
+  if (task.location) {
+    taskItem.title = [taskItem.title, task.location].filter(Boolean).join("\n");
+  }
+
+  const status = getTaskStatus(task);
+  if (status) taskItem.classList.add(`status-${status}`);
+  const statusTitle = status
+    ? `${TASK_STATUS_LABELS[status]} - click to change`
+    : "Mark as done";
+
+  // Only the piece holding the end time can be resized
+  taskItem.innerHTML = `
+    <div class="task-name">${escapeHtml(task.name)}</div>
+    <div class="task-time">${getTaskTimeHtml(task)}</div>
+    <button class="task-status" title="${statusTitle}"></button>
+    <button class="task-delete">×</button>
+    ${
+      flags.continuesAfter
+        ? ""
+        : '<div class="task-resize" title="Drag to change the end time"></div>'
+    }
+  `;
+
+  taskItem.addEventListener("mousedown", (e) =>
+    handleMouseDown(e, task, taskItem)
+  );
+  taskItem.addEventListener(
+    "touchstart",
+    (e) => handleMouseDown(e, task, taskItem),
+    { passive: false }
+  );
+
+  taskItem.querySelector(".task-status").addEventListener("click", (e) => {
+    e.stopPropagation();
+    setTaskStatus(task, getNextStatus(task));
+  });
+
+  taskItem
+    .querySelector(".task-delete")
+    .addEventListener("click", async (e) => {
+      e.stopPropagation();
+      if (task.seriesTask) {
+        const scope = await askRecurrenceScope("Delete");
+        if (scope) deleteOccurrence(task, scope);
+      } else if (confirm(`Delete task "${task.name}"?`)) {
+        deleteTask(task.firestoreId);
+      }
+    });
+
+  startCell.appendChild(taskItem);
+}
+
+/**
+ * Time label for a task, with the end day when it ends on another day
+ * @param {Object} task - Task
+ * @returns {string} - e.g. "09:00 - 10:30" or "22:00 - 02:00 (+1d)"
+ */
+function formatTaskTime(task) {
+  const range = getTaskRange(task);
+  const start = fromAbsoluteMinutes(range.start);
+  const end = fromAbsoluteMinutes(range.end);
+  const extraDays = daysBetween(start.date, end.date);
+
+  const label = `${formatTime(start.time)} - ${formatTime(end.time)}`;
+  return extraDays > 0 ? `${label} (+${extraDays}d)` : label;
+}
+
+/**
+ * Time line of a task box: the times, a mark for recurring tasks and the
+ * checklist progress
+ * @param {Object} task - Task (or occurrence)
+ * @returns {string} - HTML
+ */
+function getTaskTimeHtml(task) {
+  let html = formatTaskTime(task);
+  if (task.seriesTask) html += " ↻";
+
+  const progress = getChecklistProgress(task);
+  if (progress) {
+    html += ` <span class="task-checklist">☑ ${progress}</span>`;
+  }
+  return html;
+}
+
+/**
+ * Save changes made to an existing task in the task modal.
+ * The Firestore id is kept so reminder eventLinks stay valid.
+ * @param {Object} task - Task (or recurring occurrence) being edited
+ * @param {Object} changes - New field values from the form
+ */
+async function saveTaskEdit(task, changes) {
+  try {
+    let entry;
+    if (task.seriesTask) {
+      const scope = await askRecurrenceScope("Edit");
+      if (!scope) return;
+      entry = await runWithHistory("Edit task", () =>
+        applyOccurrenceChange(task, changes, scope)
+      );
+    } else {
+      const updates = { ...changes };
+      if (changes.recurrence && !task.exceptions) updates.exceptions = [];
+      entry = await runWithHistory("Edit task", () =>
+        trackedUpdateDoc(
+          doc(db, "tasks", task.firestoreId),
+          withTimeZone(task, updates)
+        )
+      );
+    }
+
+    showNotification(
+      "Task updated successfully!",
+      "success",
+      undoButton(entry)
+    );
+    closeModal();
+  } catch (error) {
+    console.error("Error updating task:", error);
+    showNotification("Failed to update task", "error");
+  }
+}
+
+/**
+ * Delete a task from Firestore
+ * @param {string} firestoreId - Document ID in Firestore
+ */
+async function deleteTask(firestoreId) {
+  if (!currentUser) return;
+
+  try {
+    const entry = await runWithHistory("Delete task", () =>
+      removeTask(firestoreId)
+    );
+    showNotification("Task deleted successfully", "success", undoButton(entry));
+  } catch (error) {
+    console.error("Error deleting task:", error);
+    showNotification("Failed to delete task", "error");
+  }
+}
+
+/**
+ * Delete a task document and clear reminder links to it. For a series, the
+ * occurrences detached from it ("this" scope edits) go with it.
+ * @param {string} firestoreId - Document ID in Firestore
+ */
+async function removeTask(firestoreId) {
+  const detached = await getDetachedOccurrences(firestoreId);
+  await removeTasks([firestoreId, ...detached.map((docSnap) => docSnap.id)]);
+}
+
+/**
+ * Delete task documents together and clear reminder links to them
+ * @param {string[]} ids - Document IDs in Firestore
+ */
+async function removeTasks(ids) {
+  // 1. Delete the tasks in one batch
+  await trackedDeleteDocs(ids.map((id) => doc(db, "tasks", id)));
+
+  // 2. Clear references from reminders + group_reminders
+  for (const id of ids) {
+    await clearEventLink(currentUser.uid, "reminders", id);
+    await clearEventLink(currentUser.uid, "group_reminders", id);
+  }
+}
+
+/**
+ * Occurrences detached from a series by "this" scope edits
+ * @param {string} seriesId - Series document ID
+ * @returns {Promise<Object[]>} - Document snapshots
+ */
+async function getDetachedOccurrences(seriesId) {
+  const snapshot = await getDocs(
+    query(
+      collection(db, "tasks"),
+      where("userId", "==", currentUser.uid),
+      where("seriesId", "==", seriesId)
+    )
+  );
+  return snapshot.docs;
+}
 
-      // Check if near top edge
-      if (y - rect.top < scrollThreshold && y > rect.top) {
-        autoScrollInterval = setInterval(() => {
-          scheduleBox.scrollTop -= scrollSpeed;
-        }, 20);
-      }
-      // Check if near bottom edge
-      else if (rect.bottom - y < scrollThreshold && y < rect.bottom) {
-        autoScrollInterval = setInterval(() => {
-          scheduleBox.scrollTop += scrollSpeed;
-        }, 20);
+// ============================================
+// Month and Agenda Views
+// ============================================
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to a Date
+ * @param {*} value - Stored date value
+ * @returns {Date}
+ */
+function toJsDate(value) {
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Render the month overview: per day, a dot and count for each category and
+ * the reminders due that day
+ */
+function renderMonthView() {
+  const container = document.getElementById("monthView");
+  container.innerHTML = "";
+
+  const anchor = parseDateKey(anchorDate);
+  const month = anchor.getMonth();
+  const firstOfMonth = new Date(anchor.getFullYear(), month, 1, 12);
+  const gridStart = toDateKey(getWeekStart(firstOfMonth));
+  const gridEnd = addDays(gridStart, 41);
+  const today = todayKey();
+
+  // Group visible tasks by every day they touch
+  const tasksByDate = {};
+  expandTasks(gridStart, gridEnd).forEach((task) => {
+    if (!task.date || !task.time) return;
+    if (!shouldShowTask(task.category || "study")) return;
+    getTaskDates(task).forEach((date) => {
+      if (!tasksByDate[date]) tasksByDate[date] = [];
+      tasksByDate[date].push(task);
+    });
+  });
+
+  // Group open reminders by due day
+  const remindersByDate = {};
+  [...personalReminders, ...groupReminders].forEach((reminder) => {
+    if (!reminder.due_date || reminder.is_completed) return;
+    const key = dateKeyInZone(toJsDate(reminder.due_date));
+    if (!remindersByDate[key]) remindersByDate[key] = [];
+    remindersByDate[key].push(reminder);
+  });
+
+  const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const { weekStart, hideWeekends } = calendarSettings;
+  container.style.setProperty("--month-columns", hideWeekends ? 5 : 7);
+  for (let i = 0; i < 7; i++) {
+    const day = (weekStart + i) % 7;
+    if (hideWeekends && (day === 0 || day === 6)) continue;
+
+    const heading = document.createElement("div");
+    heading.className = "month-weekday";
+    heading.textContent = dayNames[day];
+    container.appendChild(heading);
+  }
+
+  for (let i = 0; i < 42; i++) {
+    const date = addDays(gridStart, i);
+    const dateObj = parseDateKey(date);
+    if (hideWeekends && isWeekend(dateObj)) continue;
+    const dayTasks = tasksByDate[date] || [];
+    const dayReminders = remindersByDate[date] || [];
+
+    const cell = document.createElement("div");
+    cell.className = "month-cell";
+    cell.dataset.date = date;
+    if (dateObj.getMonth() !== month) cell.classList.add("other-month");
+    if (date === today) cell.classList.add("today");
+
+    const number = document.createElement("div");
+    number.className = "month-day-number";
+    number.textContent = dateObj.getDate();
+    cell.appendChild(number);
+
+    // One dot per category with the number of tasks in it
+    const counts = {};
+    dayTasks.forEach((task) => {
+      const category = task.category || "study";
+      counts[category] = (counts[category] || 0) + 1;
+    });
+
+    if (dayTasks.length) {
+      const dots = document.createElement("div");
+      dots.className = "month-dots";
+      Object.entries(counts).forEach(([category, count]) => {
+        const dot = document.createElement("span");
+        dot.className = "month-dot";
+        dot.dataset.category = category;
+        applyCategoryColor(dot, category);
+        dot.textContent = count;
+        dot.title = `${count} ${findCategory(categories, category).name} task${
+          count !== 1 ? "s" : ""
+        }`;
+        dots.appendChild(dot);
+      });
+      cell.appendChild(dots);
+    }
+
+    dayReminders.slice(0, 2).forEach((reminder) => {
+      const due = document.createElement("div");
+      due.className = "month-reminder";
+      if (reminder.group_id) due.classList.add("group");
+      due.textContent = `⚑ ${reminder.title}`;
+      due.title = reminder.title;
+      cell.appendChild(due);
+    });
+    if (dayReminders.length > 2) {
+      const more = document.createElement("div");
+      more.className = "month-reminder more";
+      more.textContent = `+${dayReminders.length - 2} more`;
+      cell.appendChild(more);
+    }
+
+    // Open the day in the day view
+    cell.addEventListener("click", () => {
+      anchorDate = date;
+      setView("day");
+    });
+
+    container.appendChild(cell);
+  }
+}
+
+/**
+ * Render the agenda: a scrolling list of visible tasks grouped by day,
+ * starting at the current date
+ */
+function renderAgendaView() {
+  const container = document.getElementById("agendaView");
+  container.innerHTML = "";
+
+  const rangeEnd = addDays(anchorDate, AGENDA_DAYS - 1);
+  const today = todayKey();
+
+  const agendaTasks = expandTasks(anchorDate, rangeEnd)
+    .filter(
+      (task) =>
+        task.date &&
+        task.time &&
+        task.date >= anchorDate &&
+        task.date <= rangeEnd &&
+        shouldShowTask(task.category || "study")
+    )
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        (a.startTime || a.time).localeCompare(b.startTime || b.time)
+    );
+
+  if (agendaTasks.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "agenda-empty";
+    empty.textContent = `No tasks in the next ${AGENDA_DAYS} days.`;
+    container.appendChild(empty);
+    return;
+  }
+
+  let currentDate = null;
+  agendaTasks.forEach((task) => {
+    if (task.date !== currentDate) {
+      currentDate = task.date;
+      const heading = document.createElement("div");
+      heading.className = "agenda-date";
+      if (task.date === today) heading.classList.add("today");
+      heading.textContent = parseDateKey(task.date).toLocaleDateString(
+        "en-US",
+        { weekday: "long", month: "short", day: "numeric" }
+      );
+      container.appendChild(heading);
+    }
+
+    const item = document.createElement("div");
+    item.className = "agenda-item";
+    item.dataset.taskId = task.firestoreId;
+    if (task.occurrenceDate) item.dataset.occurrenceDate = task.occurrenceDate;
+    item.dataset.category = task.category || "study";
+    applyCategoryColor(item, item.dataset.category);
+
+    const status = getTaskStatus(task);
+    if (status) {
+      item.classList.add(`status-${status}`);
+      item.title = TASK_STATUS_LABELS[status];
+    }
+
+    const time = document.createElement("div");
+    time.className = "agenda-time";
+    time.textContent = formatTaskTime(task);
+
+    const name = document.createElement("div");
+    name.className = "agenda-name";
+    name.textContent = task.seriesTask ? `${task.name} ↻` : task.name;
+
+    item.appendChild(time);
+    item.appendChild(name);
+    item.addEventListener("click", () => openModal(task));
+    container.appendChild(item);
+  });
+}
+
+// ============================================
+// Recurring Task Functions
+// ============================================
+
+/**
+ * Expand recurring series into individual occurrences for a date range.
+ * One-off tasks pass through unchanged; each occurrence is a copy of its
+ * series carrying the occurrence date and a reference back to the series.
+ * Occurrences that start before the range but run into it are included.
+ * @param {string} rangeStart - First date (YYYY-MM-DD)
+ * @param {string} rangeEnd - Last date (YYYY-MM-DD)
+ * @param {Object[]} [source] - Tasks to expand (defaults to the loaded tasks)
+ * @returns {Object[]} - Tasks to display
+ */
+function expandTasks(rangeStart, rangeEnd, source = tasks) {
+  const expanded = [];
+
+  source.forEach((task) => {
+    if (!isRecurring(task)) {
+      expanded.push(task);
+      return;
+    }
+
+    // Days an occurrence spans past its start day
+    const endDate = fromAbsoluteMinutes(getTaskRange(task).end - 1).date;
+    const spanDays = daysBetween(task.date, endDate);
+
+    getOccurrenceDates(task, addDays(rangeStart, -spanDays), rangeEnd).forEach(
+      (date) => {
+        const occurrence = {
+          ...task,
+          date,
+          occurrenceDate: date,
+          seriesTask: task,
+        };
+        if (task.endDate) {
+          occurrence.endDate = addDays(
+            date,
+            daysBetween(task.date, task.endDate)
+          );
+        }
+        expanded.push(occurrence);
       }
+    );
+  });
 
-      // Check if near left edge
-      else if (x - rect.left < scrollThreshold && x > rect.left) {
-        autoScrollInterval = setInterval(() => {
-          scheduleBox.scrollLeft -= scrollSpeed;
-        }, 20);
+  return expanded;
+}
+
+/**
+ * Copy the plain task fields of a series (no id, rule or exceptions)
+ * @param {Object} series - Recurring task
+ * @returns {Object} - Task data for a new document
+ */
+function getSeriesBaseData(series) {
+  const {
+    firestoreId,
+    recurrence,
+    exceptions,
+    seriesTask,
+    occurrenceDate,
+    occurrenceStatus,
+    createdAt,
+    ...data
+  } = series;
+  // Series fields are held in the display zone
+  return { ...data, timeZone: getTimeZone() };
+}
+
+/**
+ * Series update that skips one date. arrayUnion keeps dates skipped
+ * elsewhere (or offline) meanwhile; only the time-zone fields are written
+ * alongside it.
+ * @param {Object} series - Series task (display zone)
+ * @param {string} date - Occurrence date to skip
+ * @returns {Object} - Changes for the series document
+ */
+function getSkipDateUpdate(series, date) {
+  const { exceptions = [], ...zoneFields } = withTimeZone(series, {});
+  return { ...zoneFields, exceptions: arrayUnion(...exceptions, date) };
+}
+
+/**
+ * Apply changes to one occurrence of a recurring task.
+ *  - "this": the occurrence becomes an exception and a detached one-off task
+ *  - "following": the series ends the day before, a new series starts here
+ *  - "all": the whole series is updated (date moves shift the series start)
+ * @param {Object} occurrence - Expanded occurrence (has seriesTask)
+ * @param {Object} changes - Fields to change (date, startTime, time, ...)
+ * @param {string} scope - "this", "following" or "all"
+ */
+async function applyOccurrenceChange(occurrence, changes, scope) {
+  const series = occurrence.seriesTask;
+  const occurrenceDate = occurrence.occurrenceDate;
+  const seriesRef = doc(db, "tasks", series.firestoreId);
+  const newDate = changes.date || occurrenceDate;
+  const dayShift = daysBetween(occurrenceDate, newDate);
+  const exceptions = series.exceptions || [];
+  const statuses = Object.entries(series.occurrenceStatus || {});
+
+  if (scope === "this") {
+    await trackedUpdateDoc(
+      seriesRef,
+      getSkipDateUpdate(series, occurrenceDate)
+    );
+    await trackedAddDoc(collection(db, "tasks"), {
+      ...getSeriesBaseData(series),
+      ...changes,
+      date: newDate,
+      recurrence: null,
+      status: getStoredStatus(occurrence),
+      seriesId: series.firestoreId,
+      originalDate: occurrenceDate,
+      createdAt: new Date(),
+    });
+    return;
+  }
+
+  if (scope === "following" && occurrenceDate !== series.date) {
+    // A rule coming from the edit form is taken as-is; otherwise the
+    // remaining count carries over to the new series
+    let rule = changes.recurrence;
+    if (rule === undefined) {
+      const before = countOccurrencesBefore(series, occurrenceDate);
+      rule = {
+        ...series.recurrence,
+        count: series.recurrence.count
+          ? Math.max(1, series.recurrence.count - before)
+          : null,
+      };
+    }
+
+    await trackedUpdateDoc(
+      seriesRef,
+      withTimeZone(series, {
+        recurrence: {
+          ...series.recurrence,
+          until: addDays(occurrenceDate, -1),
+          count: null,
+        },
+        exceptions: exceptions.filter((date) => date < occurrenceDate),
+        occurrenceStatus: Object.fromEntries(
+          statuses.filter(([date]) => date < occurrenceDate)
+        ),
+      })
+    );
+    await trackedAddDoc(collection(db, "tasks"), {
+      ...getSeriesBaseData(series),
+      ...changes,
+      date: newDate,
+      recurrence: rule ? shiftRecurrence(rule, dayShift) : null,
+      exceptions: rule
+        ? exceptions
+            .filter((date) => date > occurrenceDate)
+            .map((date) => addDays(date, dayShift))
+        : [],
+      occurrenceStatus: Object.fromEntries(
+        statuses
+          .filter(([date]) => date >= occurrenceDate)
+          .map(([date, status]) => [addDays(date, dayShift), status])
+      ),
+      createdAt: new Date(),
+    });
+    return;
+  }
+
+  // Whole series: shift its start by however far this occurrence moved
+  const rule =
+    changes.recurrence === undefined ? series.recurrence : changes.recurrence;
+  const seriesDate = addDays(series.date, dayShift);
+  const updates = {
+    ...changes,
+    date: seriesDate,
+    recurrence: rule ? shiftRecurrence(rule, dayShift) : null,
+    exceptions: rule ? exceptions.map((date) => addDays(date, dayShift)) : [],
+    occurrenceStatus: Object.fromEntries(
+      statuses.map(([date, status]) => [addDays(date, dayShift), status])
+    ),
+  };
+
+  // The end date in changes belongs to the occurrence; keep its day span
+  if (changes.endDate) {
+    updates.endDate = addDays(seriesDate, daysBetween(newDate, changes.endDate));
+  }
+
+  await trackedUpdateDoc(seriesRef, withTimeZone(series, updates));
+}
+
+/**
+ * Delete one occurrence of a recurring task. Deleting "following" ends the
+ * series the day before and drops what it kept for the dates from there on:
+ * skipped dates, statuses and detached occurrences.
+ * @param {Object} occurrence - Expanded occurrence (has seriesTask)
+ * @param {string} scope - "this", "following" or "all"
+ */
+async function deleteOccurrence(occurrence, scope) {
+  const series = occurrence.seriesTask;
+  const occurrenceDate = occurrence.occurrenceDate;
+
+  if (
+    scope === "all" ||
+    (scope === "following" && occurrenceDate === series.date)
+  ) {
+    await deleteTask(series.firestoreId);
+    return;
+  }
+
+  try {
+    const seriesRef = doc(db, "tasks", series.firestoreId);
+
+    const entry = await runWithHistory("Delete task", async () => {
+      if (scope === "this") {
+        // Keep the series, skip this date
+        await trackedUpdateDoc(
+          seriesRef,
+          getSkipDateUpdate(series, occurrenceDate)
+        );
+      } else {
+        await trackedUpdateDoc(
+          seriesRef,
+          withTimeZone(series, {
+            recurrence: {
+              ...series.recurrence,
+              until: addDays(occurrenceDate, -1),
+              count: null,
+            },
+            exceptions: (series.exceptions || []).filter(
+              (date) => date < occurrenceDate
+            ),
+            occurrenceStatus: Object.fromEntries(
+              Object.entries(series.occurrenceStatus || {}).filter(
+                ([date]) => date < occurrenceDate
+              )
+            ),
+          })
+        );
+
+        // Detached occurrences go by the series date they replaced
+        const detached = await getDetachedOccurrences(series.firestoreId);
+        const ids = detached
+          .filter((docSnap) => docSnap.data().originalDate >= occurrenceDate)
+          .map((docSnap) => docSnap.id);
+        if (ids.length) await removeTasks(ids);
       }
-      // Check if near right edge
-      else if (rect.right - x < scrollThreshold && x < rect.right) {
-        autoScrollInterval = setInterval(() => {
-          scheduleBox.scrollLeft += scrollSpeed;
-        }, 20);
+    });
+
+    showNotification("Task deleted successfully", "success", undoButton(entry));
+  } catch (error) {
+    console.error("Error deleting occurrence:", error);
+    showNotification("Failed to delete task", "error");
+  }
+}
+
+async function clearEventLink(userId, collectionName, firestoreId) {
+  const ref = collection(db, "users", userId, collectionName);
+  const q = query(ref, where("eventLink", "==", firestoreId));
+  const snapshot = await getDocs(q);
+
+  if (snapshot.empty) {
+    console.log(`[${collectionName}] No reminders to clear.`);
+    return;
+  }
+
+  for (const docSnap of snapshot.docs) {
+    await trackedUpdateDoc(
+      doc(db, "users", userId, collectionName, docSnap.id),
+      { eventLink: null }
+    );
+  }
+
+  console.log(
+    `[${collectionName}] Cleared eventLink for ${snapshot.docs.length} reminders`
+  );
+}
+
+// ============================================
+// Task Loading
+// ============================================
+// Only the tasks around the period on screen are loaded, with two listeners:
+//  - one-off tasks whose [date, endDate] overlaps the window: the period on
+//    screen plus TASK_PREFETCH_DAYS on each side
+//  - all recurring series of the user, since a series can reach the window
+//    from any start date (and there are few of them)
+// Tasks of windows visited before stay cached, so going back shows them at
+// once while the listener for that window attaches.
+
+/**
+ * Query for one-off tasks overlapping a date range. Also matches series
+ * whose first occurrence is in range; callers skip those.
+ * @param {string} userId - Owner
+ * @param {string} start - First date key
+ * @param {string} end - Last date key
+ */
+function tasksInRangeQuery(userId, start, end) {
+  return query(
+    collection(db, "tasks"),
+    where("userId", "==", userId),
+    where("endDate", ">=", start),
+    where("date", "<=", end)
+  );
+}
+
+/**
+ * Query for all recurring series of a user
+ * @param {string} userId - Owner
+ */
+function seriesQuery(userId) {
+  return query(
+    collection(db, "tasks"),
+    where("userId", "==", userId),
+    where("recurrence", "!=", null)
+  );
+}
+
+/**
+ * Subscribe to the tasks around the period on screen. Does nothing while the
+ * current window still covers the period with at least half the prefetch
+ * buffer to spare.
+ */
+function loadTasks() {
+  if (!currentUser) return;
+
+  if (!seriesUnsubscribe) {
+    seriesUnsubscribe = onSnapshot(
+      seriesQuery(currentUser.uid),
+      (snapshot) => {
+        seriesCache = snapshot.docs.map((docSnap) => ({
+          firestoreId: docSnap.id,
+          ...docSnap.data(),
+        }));
+        refreshTasks();
+      },
+      (error) => {
+        console.error("Error loading recurring tasks:", error);
       }
+    );
+  }
+
+  if (!upcomingUnsubscribe) listenUpcomingTasks();
+
+  const visible = getVisibleRange();
+  const margin = Math.floor(TASK_PREFETCH_DAYS / 2);
+  if (
+    taskWindow &&
+    visible.start >= addDays(taskWindow.start, margin) &&
+    visible.end <= addDays(taskWindow.end, -margin)
+  ) {
+    return;
+  }
+
+  const range = {
+    start: addDays(visible.start, -TASK_PREFETCH_DAYS),
+    end: addDays(visible.end, TASK_PREFETCH_DAYS),
+  };
+  taskWindow = range;
+
+  // Swap the listener to the new window; cached tasks show meanwhile
+  if (unsubscribe) unsubscribe();
+  refreshTasks();
+
+  unsubscribe = onSnapshot(
+    tasksInRangeQuery(currentUser.uid, range.start, range.end),
+    (snapshot) => {
+      // Tasks cached for this window that are gone were deleted or moved away
+      const ids = new Set(snapshot.docs.map((docSnap) => docSnap.id));
+      taskCache.forEach((task, id) => {
+        if (
+          !ids.has(id) &&
+          task.endDate >= range.start &&
+          task.date <= range.end
+        ) {
+          taskCache.delete(id);
+        }
+      });
+
+      snapshot.docs.forEach((docSnap) => {
+        const task = { firestoreId: docSnap.id, ...docSnap.data() };
+        if (!isRecurring(task)) taskCache.set(docSnap.id, task);
+      });
+      refreshTasks();
+    },
+    (error) => {
+      console.error("Error loading tasks:", error);
+    }
+  );
+}
+
+/**
+ * Rebuild the task list from the caches (in the display zone) and render
+ */
+function refreshTasks() {
+  tasks = [...taskCache.values(), ...seriesCache].map(toDisplayZone);
+  renderTasks();
+  scheduleAlerts();
+
+  if (
+    pendingTaskJump &&
+    tasks.some((task) => task.firestoreId === pendingTaskJump.firestoreId)
+  ) {
+    const task = pendingTaskJump;
+    pendingTaskJump = null;
+    jumpToTask(task);
+  }
+}
+
+/**
+ * Stop the task listeners and forget loaded tasks (logout or user switch)
+ */
+function resetTaskLoading() {
+  if (unsubscribe) unsubscribe();
+  if (seriesUnsubscribe) seriesUnsubscribe();
+  if (upcomingUnsubscribe) upcomingUnsubscribe();
+  unsubscribe = null;
+  seriesUnsubscribe = null;
+  upcomingUnsubscribe = null;
+  taskWindow = null;
+  pendingTaskJump = null;
+  paletteTasksLoaded = false;
+  taskCache.clear();
+  seriesCache = [];
+  upcomingTasks = [];
+  tasks = [];
+}
+
+/**
+ * Read the tasks of a date range once (recurring series included)
+ * @param {string} userId - Owner
+ * @param {string} start - First date key
+ * @param {string} end - Last date key
+ * @returns {Promise<Object[]>} - Tasks in the display zone
+ */
+async function fetchTasksInRange(userId, start, end) {
+  // A day of margin for tasks stored in another zone
+  const [rangeSnap, seriesSnap] = await Promise.all([
+    getDocs(tasksInRangeQuery(userId, addDays(start, -1), addDays(end, 1))),
+    getDocs(seriesQuery(userId)),
+  ]);
+
+  const byId = new Map();
+  [...rangeSnap.docs, ...seriesSnap.docs].forEach((docSnap) => {
+    byId.set(docSnap.id, { firestoreId: docSnap.id, ...docSnap.data() });
+  });
+  return [...byId.values()].map(toDisplayZone);
+}
+
+/**
+ * Give tasks saved before endDate existed an endDate, so the date window
+ * queries find them. Runs once per user, after the calendar is shown.
+ * @param {Object} userData - users/{uid} data
+ */
+async function backfillTaskEndDates(userData) {
+  // Needs the server; offline it is tried again at the next login
+  if (userData.taskEndDatesBackfilled || !navigator.onLine) return;
+
+  // Runs in the background, so hold on to the user it started for
+  const uid = currentUser.uid;
+  const snapshot = await getDocs(
+    query(collection(db, "tasks"), where("userId", "==", uid))
+  );
+  const missing = snapshot.docs.filter((docSnap) => {
+    const data = docSnap.data();
+    return !data.endDate && data.date && data.time;
+  });
+
+  // Batches hold at most 500 writes
+  for (let i = 0; i < missing.length; i += 500) {
+    const batch = writeBatch(db);
+    missing.slice(i, i + 500).forEach((docSnap) => {
+      const data = docSnap.data();
+      const startTime = data.startTime || data.time;
+      batch.update(docSnap.ref, {
+        endDate: data.time < startTime ? addDays(data.date, 1) : data.date,
+      });
+    });
+    await batch.commit();
+  }
+
+  await updateDoc(doc(db, "users", uid), { taskEndDatesBackfilled: true });
+}
+
+// ============================================
+// Notifications
+// ============================================
+// Alerts fire a set time before a reminder is due and before a task starts.
+// The page plans timers for the next ALERT_HORIZON_MS, again whenever
+// reminders or tasks change and every hour. Alerts go through the service
+// worker (public/notification-sw.js) when the browser allows notifications,
+// and show as in-page messages otherwise. Shown alerts are remembered in
+// localStorage so reloads and other open tabs don't repeat them.
+
+const ALERT_HORIZON_MS = 24 * 60 * 60 * 1000;
+const ALERT_REARM_MS = 60 * 60 * 1000;
+const FIRED_ALERTS_KEY = "firedAlerts";
+
+/**
+ * Register the notification service worker and plan alerts every hour
+ */
+function setupAlerts() {
+  if ("serviceWorker" in navigator) {
+    alertWorker = navigator.serviceWorker
+      .register("notification-sw.js")
+      .catch((error) => {
+        console.error("Error registering notification worker:", error);
+        return null;
+      });
+    navigator.serviceWorker.addEventListener("message", handleAlertClick);
+  }
+
+  setInterval(() => {
+    // Past midnight the upcoming tasks are those of the new day
+    if (upcomingUnsubscribe && upcomingTasksDay !== todayKey()) {
+      listenUpcomingTasks();
     }
+    scheduleAlerts();
+  }, ALERT_REARM_MS);
+}
 
-    // Find cell under cursor
-    const elements = document.elementsFromPoint(x, y);
+/**
+ * Subscribe to the one-off tasks from yesterday to the day after tomorrow
+ * (a wide range, as stored dates may be in another zone)
+ */
+function listenUpcomingTasks() {
+  if (upcomingUnsubscribe) upcomingUnsubscribe();
+
+  const today = todayKey();
+  upcomingTasksDay = today;
+  upcomingUnsubscribe = onSnapshot(
+    tasksInRangeQuery(currentUser.uid, addDays(today, -1), addDays(today, 2)),
+    (snapshot) => {
+      upcomingTasks = snapshot.docs
+        .map((docSnap) => ({ firestoreId: docSnap.id, ...docSnap.data() }))
+        .filter((task) => !isRecurring(task));
+      scheduleAlerts();
+    },
+    (error) => {
+      console.error("Error loading upcoming tasks:", error);
+    }
+  );
+}
 
-    // Remove all highlights
-    document.querySelectorAll(".day-cell").forEach((cell) => {
-      cell.classList.remove("drag-over");
-    });
+/**
+ * Current permission to show notifications
+ * @returns {string} - "granted", "denied", "default" or "unsupported"
+ */
+function getNotificationPermission() {
+  return "Notification" in window ? Notification.permission : "unsupported";
+}
 
-    // Highlight cell under cursor
-    const dayCell = elements.find((el) => el.classList.contains("day-cell"));
-    if (dayCell) {
-      dayCell.classList.add("drag-over");
-    }
+/**
+ * Ask for permission to show notifications (only prompts once)
+ * @returns {Promise<string>} - Permission after asking
+ */
+async function requestNotificationPermission() {
+  const permission = getNotificationPermission();
+  if (permission !== "default") return permission;
+
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error("Error requesting notification permission:", error);
+    return "denied";
   }
 }
 
 /**
- * Handle mouse up - end of drag
+ * Use the notification settings stored on the user document
+ * @param {Object|undefined} stored - users/{uid}.notificationSettings
  */
-async function handleMouseUp(e) {
-  document.removeEventListener("mousemove", handleMouseMove);
-  document.removeEventListener("mouseup", handleMouseUp);
-  await finishDrag();
+function applyNotificationSettings(stored) {
+  notificationSettings = normalizeNotificationSettings(stored);
+  renderNotificationControls();
+  scheduleAlerts();
 }
 
 /**
- * Handle touch end - end of drag
+ * Change notification settings and save them for the user
+ * @param {Object} changes - e.g. { taskLeadMinutes: 30 }
  */
-async function handleTouchEnd(e) {
-  document.removeEventListener("touchmove", handleTouchMove);
-  document.removeEventListener("touchend", handleTouchEnd);
-  await finishDrag();
+function updateNotificationSettings(changes) {
+  applyNotificationSettings({ ...notificationSettings, ...changes });
+  saveUserSettings({ notificationSettings });
 }
 
 /**
- * Finish drag operation and update Firestore
+ * Turn alerts on or off. Without the browser's permission alerts are still
+ * turned on, but show in the page.
  */
-async function finishDrag() {
-  // Re-enable scrolling
-  const scheduleBox = document.querySelector(".schedule-box");
-  if (scheduleBox) {
-    scheduleBox.style.overflow = "auto";
+async function toggleNotifications() {
+  if (notificationSettings.enabled) {
+    updateNotificationSettings({ enabled: false });
+    return;
   }
 
-  if (isDragging && draggedTask && currentUser) {
-    // Find which cell task was dropped on
-    const elements = document.elementsFromPoint(currentX, currentY);
-    const dayCell = elements.find((el) => el.classList.contains("day-cell"));
-
-    if (dayCell) {
-      const dayIndex = parseInt(dayCell.dataset.dayIndex);
-      const hour = parseInt(dayCell.dataset.hour);
+  const permission = await requestNotificationPermission();
+  updateNotificationSettings({ enabled: true });
 
-      const newDate = weekDates[dayIndex];
+  if (permission === "granted") {
+    showNotification("Notifications turned on", "success");
+  } else {
+    showNotification(
+      "Browser notifications are off for this site. Alerts will show here " +
+        "while the planner is open.",
+      "info"
+    );
+  }
+}
 
-      // Use the exact hour from the cell (no minute offset calculation)
-      const oldStartTime = draggedTask.startTime || draggedTask.time;
-      const oldStartMinute = parseInt(oldStartTime.split(":")[1]) || 0;
+/**
+ * Show the notification settings and permission state in the menu
+ */
+function renderNotificationControls() {
+  const { enabled, reminderLeadMinutes, taskLeadMinutes } =
+    notificationSettings;
+
+  document.getElementById("notificationToggleBtn").textContent = enabled
+    ? "🔕 Turn off notifications"
+    : "🔔 Turn on notifications";
+
+  const permissionText = {
+    granted: "On",
+    default: "On in this page (browser permission not given)",
+    denied: "On in this page (blocked in the browser settings)",
+    unsupported: "On in this page (not supported by this browser)",
+  };
+  document.getElementById("notificationStatus").textContent = enabled
+    ? permissionText[getNotificationPermission()]
+    : "Off";
+
+  [
+    ["reminderLeadSelect", reminderLeadMinutes],
+    ["taskLeadSelect", taskLeadMinutes],
+  ].forEach(([id, value]) => {
+    const select = document.getElementById(id);
+    select.innerHTML = "";
+    const options = LEAD_TIME_OPTIONS.includes(value)
+      ? LEAD_TIME_OPTIONS
+      : [...LEAD_TIME_OPTIONS, value].sort((a, b) => a - b);
+    options.forEach((minutes) => {
+      select.appendChild(new Option(formatLeadTime(minutes), minutes));
+    });
+    select.value = value;
+    select.disabled = !enabled;
+  });
+}
 
-      // Keep the same minutes as the original task
-      const newStartTime = `${hour.toString().padStart(2, "0")}:${oldStartMinute
-        .toString()
-        .padStart(2, "0")}`;
+/**
+ * Reminders that can be alerted about
+ * @returns {Object[]} - Alert items (see src/alerts.js)
+ */
+function getReminderAlertItems() {
+  const items = [];
+  [
+    [personalReminders, "personal"],
+    [groupReminders, "group"],
+  ].forEach(([list, type]) => {
+    list.forEach((reminder) => {
+      if (!reminder.due_date || reminder.is_completed) return;
+
+      const due = toJsDate(reminder.due_date);
+      const dueTime = formatInZone(due, {
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: calendarSettings.timeFormat === "12h",
+      });
+      items.push({
+        key: `reminder:${type}:${reminder.id}:${due.getTime()}`,
+        dueAt: due.getTime(),
+        title: `⏰ ${reminder.title}`,
+        body: `Due at ${dueTime}`,
+        data: {
+          kind: "reminder",
+          type,
+          id: reminder.id,
+          date: dateKeyInZone(due),
+        },
+      });
+    });
+  });
+  return items;
+}
 
-      // Calculate end time based on duration
-      const oldEndTime = draggedTask.time;
+/**
+ * Tasks and occurrences starting in the next two days that can be alerted
+ * about (all-day tasks and those already marked done or skipped are not)
+ * @returns {Object[]} - Alert items (see src/alerts.js)
+ */
+function getTaskAlertItems() {
+  const today = todayKey();
+  const source = [...upcomingTasks, ...seriesCache].map(toDisplayZone);
+
+  return expandTasks(today, addDays(today, 2), source)
+    .filter(
+      (task) => task.date && task.time && !task.allDay && !getStoredStatus(task)
+    )
+    .map((task) => {
+      const startTime = task.startTime || task.time;
+      const dueAt = toInstant(task.date, startTime).getTime();
+      return {
+        key: `task:${task.firestoreId}:${
+          task.occurrenceDate || task.date
+        }:${dueAt}`,
+        dueAt,
+        title: `📅 ${task.name}`,
+        body: [`Starts at ${formatTime(startTime)}`, task.location]
+          .filter(Boolean)
+          .join(" · "),
+        data: {
+          kind: "task",
+          id: task.firestoreId,
+          occurrenceDate: task.occurrenceDate || null,
+          date: task.date,
+          category: task.category,
+        },
+      };
+    });
+}
 
-      // Validate that old times exist
-      if (!oldStartTime || !oldEndTime) {
-        console.error("Task missing time information for drag operation");
-        cleanupDrag();
-        return;
-      }
+function loadFiredAlerts() {
+  try {
+    return JSON.parse(localStorage.getItem(FIRED_ALERTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
 
-      // Calculate duration in minutes
-      const oldStartParts = oldStartTime.split(":");
-      const oldEndParts = oldEndTime.split(":");
-      const oldStartMinutes =
-        parseInt(oldStartParts[0]) * 60 + parseInt(oldStartParts[1]);
-      const oldEndMinutes =
-        parseInt(oldEndParts[0]) * 60 + parseInt(oldEndParts[1]);
-      let durationMinutes = oldEndMinutes - oldStartMinutes;
-
-      // Handle next day scenario
-      if (durationMinutes < 0) {
-        durationMinutes += 24 * 60;
-      }
+/**
+ * Remember shown alerts ({ key: dueAt }), forgetting those a day overdue
+ */
+function saveFiredAlerts(fired) {
+  const cutoff = Date.now() - ALERT_HORIZON_MS;
+  const kept = Object.fromEntries(
+    Object.entries(fired).filter(([, dueAt]) => dueAt > cutoff)
+  );
+  localStorage.setItem(FIRED_ALERTS_KEY, JSON.stringify(kept));
+}
 
-      // Calculate new end time
-      const newStartMinutes = hour * 60 + oldStartMinute;
-      const newEndMinutes = newStartMinutes + durationMinutes;
-      const newEndHour = Math.floor(newEndMinutes / 60) % 24;
-      const newEndMinute = newEndMinutes % 60;
-      const newEndTime = `${newEndHour
-        .toString()
-        .padStart(2, "0")}:${newEndMinute.toString().padStart(2, "0")}`;
+/**
+ * Plan timers for the alerts of the next ALERT_HORIZON_MS, replacing the
+ * ones planned before
+ */
+function scheduleAlerts() {
+  alertTimers.forEach((timer) => clearTimeout(timer));
+  alertTimers.clear();
+  if (!currentUser || !notificationSettings.enabled) return;
+
+  const now = Date.now();
+  const fired = loadFiredAlerts();
+  const { reminderLeadMinutes, taskLeadMinutes } = notificationSettings;
+  const alerts = [
+    ...planAlerts(
+      getReminderAlertItems(),
+      reminderLeadMinutes,
+      now,
+      ALERT_HORIZON_MS
+    ),
+    ...planAlerts(getTaskAlertItems(), taskLeadMinutes, now, ALERT_HORIZON_MS),
+  ];
+
+  alerts
+    .filter((alert) => !fired[alert.key])
+    .forEach((alert) => {
+      alertTimers.set(
+        alert.key,
+        setTimeout(() => fireAlert(alert), alert.at - now)
+      );
+    });
+}
 
-      // Update in Firestore if date/time changed
-      if (
-        draggedTask.date !== newDate ||
-        draggedTask.startTime !== newStartTime
-      ) {
-        try {
-          const taskRef = doc(db, "tasks", draggedTask.firestoreId);
-          await updateDoc(taskRef, {
-            date: newDate,
-            startTime: newStartTime,
-            time: newEndTime,
-          });
-        } catch (error) {
-          console.error("Error updating task:", error);
-          showNotification("Failed to update task", "error");
-        }
+/**
+ * Show an alert as a system notification, or in the page if the browser
+ * does not allow that
+ * @param {Object} alert - Planned alert
+ */
+async function fireAlert(alert) {
+  alertTimers.delete(alert.key);
+
+  // Another tab may have shown it already
+  const fired = loadFiredAlerts();
+  if (fired[alert.key]) return;
+  fired[alert.key] = alert.dueAt;
+  saveFiredAlerts(fired);
+
+  if (getNotificationPermission() === "granted") {
+    const options = { body: alert.body, tag: alert.key, data: alert.data };
+    try {
+      const registration = alertWorker ? await alertWorker : null;
+      if (registration) {
+        await registration.showNotification(alert.title, options);
+      } else {
+        new Notification(alert.title, options);
       }
+      return;
+    } catch (error) {
+      console.error("Error showing notification:", error);
     }
   }
 
-  cleanupDrag();
+  showNotification(`${alert.title} - ${alert.body}`, "info");
 }
 
 /**
- * Cleanup drag elements and state
+ * Show the reminder or task of a clicked notification
+ * @param {MessageEvent} event - From the service worker
  */
-function cleanupDrag() {
-  // Clear auto-scroll interval
-  if (autoScrollInterval) {
-    clearInterval(autoScrollInterval);
-    autoScrollInterval = null;
+function handleAlertClick(event) {
+  if (event.data?.type !== "alert-click") return;
+
+  const { kind, type, id, occurrenceDate, date, category } = event.data.data;
+  if (kind === "reminder") {
+    const list = type === "group" ? groupReminders : personalReminders;
+    const reminder = list.find((r) => r.id === id);
+    if (reminder) jumpToReminder(reminder, type);
+  } else if (kind === "task") {
+    jumpToTask({ firestoreId: id, occurrenceDate, date, category });
   }
+}
 
-  // Cleanup
-  if (dragClone) {
-    dragClone.remove();
-    dragClone = null;
-  }
+// ============================================
+// iCalendar Import / Export
+// ============================================
 
-  if (draggedElement) {
-    draggedElement.style.opacity = "1";
+/**
+ * First and last date of the period currently on screen
+ * @returns {{start: string, end: string}} - YYYY-MM-DD keys
+ */
+function getVisibleRange() {
+  if (currentView === "month") {
+    const anchor = parseDateKey(anchorDate);
+    return {
+      start: toDateKey(new Date(anchor.getFullYear(), anchor.getMonth(), 1, 12)),
+      end: toDateKey(
+        new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0, 12)
+      ),
+    };
   }
+  if (currentView === "agenda") {
+    return { start: anchorDate, end: addDays(anchorDate, AGENDA_DAYS - 1) };
+  }
+  return { start: weekDates[0], end: weekDates[weekDates.length - 1] };
+}
 
-  document.querySelectorAll(".day-cell").forEach((cell) => {
-    cell.classList.remove("drag-over");
-  });
+/**
+ * Open the export dialog, defaulting to the visible period
+ */
+function openIcsExport() {
+  const { start, end } = getVisibleRange();
+  document.getElementById("icsExportStart").value = start;
+  document.getElementById("icsExportEnd").value = end;
+  document.getElementById("icsExportModal").style.display = "block";
+}
 
-  isDragging = false;
-  draggedTask = null;
-  draggedElement = null;
+function closeIcsExport() {
+  document.getElementById("icsExportModal").style.display = "none";
 }
 
-// ============================================
-// Modal Functions
-// ============================================
+/**
+ * Download the tasks (and optionally reminders) of a date range as .ics
+ */
+async function exportIcs() {
+  if (!currentUser) return;
 
-function openModal() {
-  document.getElementById("taskModal").style.display = "block";
+  const start = document.getElementById("icsExportStart").value;
+  const end = document.getElementById("icsExportEnd").value;
+  const includeReminders =
+    document.getElementById("icsExportReminders").checked;
+
+  if (!start || !end || end < start) {
+    showNotification("Choose a valid date range", "error");
+    return;
+  }
+
+  // The range can reach past the loaded tasks, so read it
+  let rangeTasks;
+  try {
+    rangeTasks = await fetchTasksInRange(currentUser.uid, start, end);
+  } catch (error) {
+    console.error("Error loading tasks for export:", error);
+    showNotification("Failed to export calendar", "error");
+    return;
+  }
+
+  // Whole series are exported with their rule when any occurrence is in range
+  const exportedIds = new Set(
+    expandTasks(start, end, rangeTasks)
+      .filter((task) => {
+        if (!task.date || !task.time) return false;
+        const range = getTaskRange(task);
+        return (
+          range.end > toAbsoluteMinutes(start, "00:00") &&
+          range.start < toAbsoluteMinutes(addDays(end, 1), "00:00")
+        );
+      })
+      .map((task) => task.firestoreId)
+  );
+  const exportedTasks = rangeTasks
+    .filter((task) => exportedIds.has(task.firestoreId))
+    .map((task) => {
+      const { start: taskStart, end: taskEnd } = getTaskRange(task);
+      return { ...task, ...rangeToFields(taskStart, taskEnd) };
+    });
+
+  const exportedReminders = includeReminders
+    ? [...personalReminders, ...groupReminders]
+        .filter((reminder) => {
+          if (!reminder.due_date) return false;
+          const key = dateKeyInZone(toJsDate(reminder.due_date));
+          return key >= start && key <= end;
+        })
+        .map((reminder) => ({
+          id: reminder.id,
+          title: reminder.title,
+          due: toJsDate(reminder.due_date),
+          completed: reminder.is_completed,
+          category: reminder.category,
+        }))
+    : [];
+
+  if (!exportedTasks.length && !exportedReminders.length) {
+    showNotification("Nothing to export in this range", "error");
+    return;
+  }
+
+  const blob = new Blob(
+    [buildICalendar({ tasks: exportedTasks, reminders: exportedReminders })],
+    { type: "text/calendar;charset=utf-8" }
+  );
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `todo-together-${start}-to-${end}.ics`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  closeIcsExport();
+  showNotification(
+    `Exported ${exportedTasks.length} tasks and ${exportedReminders.length} reminders`,
+    "success"
+  );
 }
 
-function closeModal() {
-  document.getElementById("taskModal").style.display = "none";
-  document.getElementById("taskForm").reset();
+/**
+ * Open the import dialog with an empty preview
+ */
+function openIcsImport() {
+  icsImportEvents = [];
+  document.getElementById("icsFile").value = "";
+  document.getElementById("icsPreview").classList.add("hidden");
+  document.getElementById("confirmIcsImportBtn").disabled = true;
+  document.getElementById("icsImportModal").style.display = "block";
 }
 
-// ============================================
-// Task Management Functions
-// ============================================
+function closeIcsImport() {
+  icsImportEvents = [];
+  document.getElementById("icsImportModal").style.display = "none";
+}
 
 /**
- * Calculate the height of task based on duration (in minutes precision)
- * @param {string} startTime - Start time in HH:mm format
- * @param {string} endTime - End time in HH:mm format
- * @returns {number} - Duration in hours (decimal)
+ * Read the chosen .ics file and show what would be imported
  */
-function calculateDuration(startTime, endTime) {
-  // Validate inputs
-  if (
-    !startTime ||
-    !endTime ||
-    typeof startTime !== "string" ||
-    typeof endTime !== "string"
-  ) {
-    console.warn(
-      "Invalid time format in calculateDuration:",
-      startTime,
-      endTime
-    );
-    return 1; // Default to 1 hour
+async function handleIcsFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    icsImportEvents = parseICalendar(await file.text());
+  } catch (error) {
+    console.error("Error reading calendar file:", error);
+    showNotification("Could not read this calendar file", "error");
+    return;
   }
 
-  const startParts = startTime.split(":");
-  const endParts = endTime.split(":");
+  if (!icsImportEvents.length) {
+    showNotification("No events found in this file", "error");
+    return;
+  }
 
-  if (startParts.length < 2 || endParts.length < 2) {
-    console.warn(
-      "Invalid time format in calculateDuration:",
-      startTime,
-      endTime
+  // Events imported before (or exported from here) match an existing task
+  let tasksByUid;
+  try {
+    tasksByUid = await findTasksByUid(
+      icsImportEvents.map((event) => event.uid)
     );
-    return 1; // Default to 1 hour
+  } catch (error) {
+    console.error("Error looking up existing tasks:", error);
+    showNotification("Could not check for existing tasks", "error");
+    return;
   }
+  icsImportEvents.forEach((event) => {
+    event.existing = tasksByUid[event.uid] || null;
+  });
 
-  const startHour = parseInt(startParts[0]);
-  const startMinute = parseInt(startParts[1]) || 0;
-  const endHour = parseInt(endParts[0]);
-  const endMinute = parseInt(endParts[1]) || 0;
+  renderIcsPreview();
+}
 
-  // Convert to total minutes
-  const startTotalMinutes = startHour * 60 + startMinute;
-  let endTotalMinutes = endHour * 60 + endMinute;
+/**
+ * Find the user's tasks for iCalendar UIDs, whether loaded or not
+ * @param {string[]} uids - Event UIDs
+ * @returns {Promise<Object>} - Tasks (display zone) by UID
+ */
+async function findTasksByUid(uids) {
+  const found = {};
+  tasks.forEach((task) => {
+    found[getTaskUid(task)] = task;
+  });
 
-  // Handle next day scenario (e.g., 23:00 to 02:00)
-  if (endTotalMinutes < startTotalMinutes) {
-    endTotalMinutes += 24 * 60; // Add 24 hours
+  const addFound = (docSnap) => {
+    const data = docSnap.data();
+    if (data.userId !== currentUser.uid) return;
+    const task = toDisplayZone({ firestoreId: docSnap.id, ...data });
+    found[getTaskUid(task)] = task;
+  };
+
+  const missing = [...new Set(uids)].filter((uid) => !found[uid]);
+
+  // Tasks exported from here carry their document id in the UID
+  for (const uid of missing) {
+    const id = getTaskIdFromUid(uid);
+    if (!id) continue;
+    try {
+      const snapshot = await getDoc(doc(db, "tasks", id));
+      if (snapshot.exists()) addFound(snapshot);
+    } catch (error) {
+      // Someone else's task, which this user may not read: not ours
+      console.warn(`Could not look up task ${id}:`, error);
+    }
   }
 
-  const durationMinutes = endTotalMinutes - startTotalMinutes;
-  const durationHours = durationMinutes / 60;
+  // Others were imported before and keep the UID in icalUid ("in" takes 30)
+  const imported = missing.filter((uid) => !getTaskIdFromUid(uid));
+  for (let i = 0; i < imported.length; i += 30) {
+    const snapshot = await getDocs(
+      query(
+        collection(db, "tasks"),
+        where("userId", "==", currentUser.uid),
+        where("icalUid", "in", imported.slice(i, i + 30))
+      )
+    );
+    snapshot.docs.forEach(addFound);
+  }
 
-  // Ensure minimum duration of 5 minutes (0.083 hours)
-  return durationHours > 0.083 ? durationHours : 0.083;
+  return found;
 }
 
 /**
- * Render all tasks on the calendar
+ * Render the category mapping and the event list of the import preview
  */
+function renderIcsPreview() {
+  const categoryOptions = [
+    ...document.getElementById("taskCategory").options,
+  ].map((option) => ({ value: option.value, label: option.textContent }));
+
+  // One mapping row per category name found in the file
+  const mapContainer = document.getElementById("icsCategoryMap");
+  mapContainer.innerHTML = "";
+  [...new Set(icsImportEvents.map((event) => event.sourceCategory))]
+    .sort()
+    .forEach((sourceCategory) => {
+      const row = document.createElement("label");
+      row.className = "ics-category-row";
+
+      const name = document.createElement("span");
+      name.textContent = sourceCategory || "No category";
+
+      const select = document.createElement("select");
+      select.className = "ics-category-select";
+      select.dataset.source = sourceCategory;
+      categoryOptions.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      const match = categoryOptions.find(
+        ({ value, label }) =>
+          value === sourceCategory.toLowerCase() ||
+          label.toLowerCase() === sourceCategory.toLowerCase()
+      );
+      if (match) select.value = match.value;
+
+      row.appendChild(name);
+      row.appendChild(select);
+      mapContainer.appendChild(row);
+    });
+
+  const list = document.getElementById("icsEventList");
+  list.innerHTML = "";
+  icsImportEvents.forEach((event, index) => {
+    const row = document.createElement("label");
+    row.className = "ics-event";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "ics-event-check";
+    checkbox.dataset.index = index;
+    checkbox.checked = !event.existing;
+
+    const info = document.createElement("div");
+    info.className = "ics-event-info";
+
+    const name = document.createElement("div");
+    name.className = "ics-event-name";
+    name.textContent = event.name;
+    if (event.existing) {
+      const badge = document.createElement("span");
+      badge.className = "ics-badge";
+      badge.textContent = "Already imported";
+      name.appendChild(badge);
+    }
+
+    const { date, startTime, endDate, time } = event.fields;
+    const when = document.createElement("div");
+    when.className = "ics-event-when";
+    when.textContent = event.allDay
+      ? `${date} (all day${
+          daysBetween(date, endDate) > 1
+            ? `, ${daysBetween(date, endDate)} days`
+            : ""
+        })`
+      : `${date} ${startTime} - ${endDate !== date ? `${endDate} ` : ""}${time}`;
+    if (event.recurrence) {
+      when.textContent += ` · ${describeRecurrence(event.recurrence)}`;
+    }
+
+    info.appendChild(name);
+    info.appendChild(when);
+    event.warnings.forEach((warning) => {
+      const note = document.createElement("div");
+      note.className = "ics-event-warning";
+      note.textContent = warning;
+      info.appendChild(note);
+    });
+
+    row.appendChild(checkbox);
+    row.appendChild(info);
+    list.appendChild(row);
+  });
+
+  const duplicates = icsImportEvents.filter((event) => event.existing).length;
+  document.getElementById("icsSummary").textContent = `(${
+    icsImportEvents.length
+  } found${duplicates ? `, ${duplicates} already imported` : ""})`;
+  document.getElementById("icsPreview").classList.remove("hidden");
+  document.getElementById("confirmIcsImportBtn").disabled = false;
+}
+
 /**
- * Render all tasks on the calendar
- * FIXED: Uses Percentage (%) instead of Pixels for responsiveness
+ * Save the selected events as tasks. Events that were imported before
+ * update their existing task instead of adding a copy.
  */
-function renderTasks() {
-  // Remove all existing task elements & overlays
-  document.querySelectorAll(".task-item").forEach((item) => item.remove());
-  document.querySelectorAll(".task-overlay").forEach((item) => item.remove());
+async function confirmIcsImport() {
+  if (!currentUser) {
+    showNotification("Please login first", "error");
+    return;
+  }
 
-  tasks.forEach((task) => {
-    // Skip if invalid
-    if (!task.date || !task.time) return;
+  const categoryMap = {};
+  document.querySelectorAll(".ics-category-select").forEach((select) => {
+    categoryMap[select.dataset.source] = select.value;
+  });
 
-    const dayIndex = weekDates.indexOf(task.date);
+  const selected = [...document.querySelectorAll(".ics-event-check:checked")]
+    .map((checkbox) => icsImportEvents[checkbox.dataset.index])
+    // Series first so changed occurrences can link to them
+    .sort((a, b) => Boolean(a.seriesUid) - Boolean(b.seriesUid));
 
-    if (dayIndex !== -1) {
-      // Data preparation
-      const startTime = task.startTime || task.time;
-      const endTime = task.time;
+  if (!selected.length) {
+    showNotification("Select at least one event", "error");
+    return;
+  }
 
-      const startHour = parseInt(startTime.split(":")[0]);
-      const startMinute = parseInt(startTime.split(":")[1]) || 0;
+  const button = document.getElementById("confirmIcsImportBtn");
+  button.disabled = true;
 
-      let endHour = parseInt(endTime.split(":")[0]);
-      let endMinute = parseInt(endTime.split(":")[1]) || 0;
+  const idsByUid = {};
+  icsImportEvents.forEach((event) => {
+    if (event.existing) idsByUid[event.uid] = event.existing.firestoreId;
+  });
+
+  try {
+    const entry = await runWithHistory("Import calendar", async () => {
+      for (const event of selected) {
+        const taskData = {
+          name: event.name,
+          category: categoryMap[event.sourceCategory],
+          ...event.fields,
+          icalUid: event.uid,
+          timeZone: getTimeZone(),
+        };
+        if (event.allDay) taskData.allDay = true;
+        if (event.recurrence) {
+          taskData.recurrence = event.recurrence;
+          taskData.exceptions = event.exceptions;
+        }
+        if (event.seriesUid && idsByUid[event.seriesUid]) {
+          taskData.seriesId = idsByUid[event.seriesUid];
+          taskData.originalDate = event.originalDate;
+        }
 
-      if (task.startTime && task.startTime === task.time) {
-        endHour = startHour + 1;
+        if (event.existing) {
+          await trackedUpdateDoc(
+            doc(db, "tasks", event.existing.firestoreId),
+            taskData
+          );
+        } else {
+          const docRef = await trackedAddDoc(collection(db, "tasks"), {
+            userId: currentUser.uid,
+            ...taskData,
+            createdAt: new Date(),
+          });
+          idsByUid[event.uid] = docRef.id;
+        }
       }
+    });
 
-      const startCell = document.querySelector(
-        `.day-cell[data-day-index="${dayIndex}"][data-hour="${startHour}"]`
-      );
+    closeIcsImport();
+    showNotification(
+      `Imported ${selected.length} events`,
+      "success",
+      undoButton(entry)
+    );
+  } catch (error) {
+    console.error("Error importing calendar:", error);
+    showNotification("Failed to import calendar", "error");
+  } finally {
+    button.disabled = false;
+  }
+}
 
-      if (startCell) {
-        // 1. Calculate Duration in Minutes
-        const startTotalMinutes = startHour * 60 + startMinute;
-        let endTotalMinutes = endHour * 60 + endMinute;
+// ============================================
+// Command Palette
+// ============================================
 
-        if (endTotalMinutes <= startTotalMinutes) endTotalMinutes += 24 * 60;
+function openCommandPalette() {
+  const input = document.getElementById("commandInput");
+  document.getElementById("commandPalette").classList.remove("hidden");
+  input.value = "";
+  updateCommandResults();
+  input.focus();
+  loadPaletteTasks();
+}
 
-        const durationMinutes = endTotalMinutes - startTotalMinutes;
+function closeCommandPalette() {
+  document.getElementById("commandPalette").classList.add("hidden");
+  paletteResults = [];
+}
 
-        const heightPercentage = (durationMinutes / 60) * 100;
+/**
+ * Read the one-off tasks the palette searches into the task cache, once per
+ * session, then refresh the results. Series are always loaded.
+ */
+async function loadPaletteTasks() {
+  if (!currentUser || paletteTasksLoaded) return;
+  paletteTasksLoaded = true;
 
-        const topPercentage = (startMinute / 60) * 100;
+  const uid = currentUser.uid;
+  const today = todayKey();
+  let snapshot;
+  try {
+    // A day of margin for tasks stored in another zone
+    snapshot = await getDocs(
+      tasksInRangeQuery(
+        uid,
+        addDays(today, -PALETTE_TASK_DAYS - 1),
+        addDays(today, PALETTE_TASK_DAYS + 1)
+      )
+    );
+  } catch (error) {
+    console.error("Error loading tasks for search:", error);
+    paletteTasksLoaded = false;
+    return;
+  }
+  if (currentUser?.uid !== uid) return;
 
-        // -------------------------
+  // Tasks the listener already has stay as it has them
+  snapshot.docs.forEach((docSnap) => {
+    const task = { firestoreId: docSnap.id, ...docSnap.data() };
+    if (!isRecurring(task) && !taskCache.has(docSnap.id)) {
+      taskCache.set(docSnap.id, task);
+    }
+  });
+  refreshTasks();
 
-        // Create Task Element
-        const taskItem = document.createElement("div");
-        taskItem.className = "task-item";
-        taskItem.dataset.category = task.category || "study";
+  const palette = document.getElementById("commandPalette");
+  if (!palette.classList.contains("hidden")) updateCommandResults();
+}
 
-        if (!shouldShowTask(task.category || "study")) {
-          taskItem.classList.add("hidden");
-        }
+/**
+ * Everything the palette can find: commands first, then tasks, reminders
+ * and groups
+ * @returns {Object[]} - [{ icon, title, subtitle, keywords, run }]
+ */
+function getPaletteItems() {
+  const today = todayKey();
+  const showModal = (id) => () => {
+    document.getElementById(id).style.display = "block";
+  };
 
-        taskItem.style.position = "absolute";
+  const commands = [
+    { icon: "➕", title: "New task", run: () => openModal() },
+    {
+      icon: "★",
+      title: "Auto-schedule reminders",
+      run: () => document.getElementById("auto-schedule-btn").click(),
+    },
+    { icon: "📅", title: "Go to today", run: goToToday },
+    { icon: "👥", title: "Join group", run: showModal("joinGroupModal") },
+    { icon: "👥", title: "Create group", run: showModal("createGroupModal") },
+    ...["day", "week", "month", "agenda"].map((view) => ({
+      icon: "🗓️",
+      title: `${view[0].toUpperCase()}${view.slice(1)} view`,
+      run: () => setView(view),
+    })),
+    { icon: "🏷️", title: "Manage categories", run: openCategoryManager },
+    { icon: "📥", title: "Import .ics", run: openIcsImport },
+    { icon: "📤", title: "Export .ics", run: openIcsExport },
+  ].map((command) => ({ ...command, subtitle: "Command" }));
+
+  const taskItems = tasks
+    .filter((task) => task.date && task.time)
+    .map((task) => {
+      // Series jump to their next occurrence
+      const date = isRecurring(task)
+        ? getOccurrenceDates(task, today, addDays(today, 366))[0] || task.date
+        : task.date;
+      const occurrence = isRecurring(task)
+        ? { ...task, date, occurrenceDate: date, seriesTask: task }
+        : task;
+      return {
+        icon: "🗒️",
+        title: task.name,
+        subtitle: `${formatTaskWhen({ ...task, date })}${
+          isRecurring(task) ? " ↻" : ""
+        }`,
+        keywords: [task.location, findCategory(categories, task.category).name]
+          .filter(Boolean)
+          .join(" "),
+        run: () => jumpToTask(occurrence),
+      };
+    });
 
-        taskItem.style.top = `${topPercentage}%`;
+  const reminderItems = [
+    ...personalReminders.map((reminder) => ({ reminder, type: "personal" })),
+    ...groupReminders.map((reminder) => ({ reminder, type: "group" })),
+  ].map(({ reminder, type }) => {
+    const due = reminder.due_date ? toJsDate(reminder.due_date) : null;
+    return {
+      icon: type === "group" ? "👥" : "🔔",
+      title: reminder.title,
+      subtitle: `${type === "group" ? "Group reminder" : "Reminder"}${
+        due
+          ? ` · due ${formatInZone(due, { month: "short", day: "numeric" })}`
+          : ""
+      }`,
+      run: () => jumpToReminder(reminder, type),
+    };
+  });
 
-        taskItem.style.left = "0";
-        taskItem.style.width = "100%";
+  const groupItems = userGroups.map((group) => ({
+    icon: "👥",
+    title: group.name,
+    subtitle: "Group",
+    run: () => openGroupDetails(group),
+  }));
 
-        taskItem.style.height = `${heightPercentage}%`;
+  return [...commands, ...taskItems, ...reminderItems, ...groupItems];
+}
 
-        taskItem.style.zIndex = "10";
-        taskItem.style.boxSizing = "border-box";
+/**
+ * Search for the typed query and render the result list
+ */
+function updateCommandResults() {
+  const query = document.getElementById("commandInput").value;
+  const items = getPaletteItems();
+
+  // Without a query the palette lists its commands
+  paletteResults = (
+    query.trim()
+      ? fuzzySearch(query, items, (item) =>
+          [item.title, item.keywords].filter(Boolean).join(" ")
+        )
+      : items.filter((item) => item.subtitle === "Command")
+  ).slice(0, PALETTE_MAX_RESULTS);
+  paletteIndex = 0;
+
+  renderCommandResults();
+}
 
-        const timeDisplay = `${startTime} - ${endTime}`;
+function renderCommandResults() {
+  const list = document.getElementById("commandResults");
+  list.innerHTML = "";
 
-        taskItem.innerHTML = `
-          <div class="task-name">${task.name}</div>
-          <div class="task-time">${timeDisplay}</div>
-          <button class="task-delete">×</button>
-        `;
+  if (!paletteResults.length) {
+    list.innerHTML = '<li class="command-empty">No matches</li>';
+    return;
+  }
 
-        taskItem.addEventListener("mousedown", (e) =>
-          handleMouseDown(e, task, taskItem)
-        );
-        taskItem.addEventListener(
-          "touchstart",
-          (e) => handleMouseDown(e, task, taskItem),
-          { passive: false }
-        );
+  paletteResults.forEach((item, index) => {
+    const row = document.createElement("li");
+    row.className = "command-result";
+    if (index === paletteIndex) row.classList.add("active");
+
+    const icon = document.createElement("span");
+    icon.className = "command-icon";
+    icon.textContent = item.icon;
+
+    const title = document.createElement("span");
+    title.className = "command-title";
+    title.textContent = item.title;
+
+    const subtitle = document.createElement("span");
+    subtitle.className = "command-subtitle";
+    subtitle.textContent = item.subtitle;
+
+    row.appendChild(icon);
+    row.appendChild(title);
+    row.appendChild(subtitle);
+    row.addEventListener("mousemove", () => {
+      if (paletteIndex === index) return;
+      paletteIndex = index;
+      renderCommandResults();
+    });
+    row.addEventListener("click", () => runCommandResult(index));
+    list.appendChild(row);
+  });
+}
 
-        taskItem
-          .querySelector(".task-delete")
-          .addEventListener("click", (e) => {
-            e.stopPropagation();
-            if (confirm(`Delete task "${task.name}"?`))
-              deleteTask(task.firestoreId);
-          });
+function runCommandResult(index) {
+  const item = paletteResults[index];
+  if (!item) return;
+  closeCommandPalette();
+  item.run();
+}
 
-        startCell.appendChild(taskItem);
-      }
-    }
-  });
+/**
+ * Keyboard navigation inside the palette input
+ */
+function handleCommandKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!paletteResults.length) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    paletteIndex =
+      (paletteIndex + step + paletteResults.length) % paletteResults.length;
+    renderCommandResults();
+    document
+      .querySelector(".command-result.active")
+      .scrollIntoView({ block: "nearest" });
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runCommandResult(paletteIndex);
+  } else if (e.key === "Escape") {
+    closeCommandPalette();
+  }
 }
 
 /**
- * Delete a task from Firestore
- * @param {string} firestoreId - Document ID in Firestore
+ * Briefly highlight elements and scroll the first into view
+ * @param {NodeList|Element[]} elements - Elements to highlight
  */
-async function deleteTask(firestoreId) {
-  if (!currentUser) return;
+function flashElements(elements) {
+  const list = [...elements];
+  if (!list.length) return false;
+
+  list[0].scrollIntoView({ block: "center", behavior: "smooth" });
+  list.forEach((element) => {
+    element.classList.remove("search-highlight");
+    // Restart the animation when the same item is picked twice
+    void element.offsetWidth;
+    element.classList.add("search-highlight");
+    setTimeout(() => element.classList.remove("search-highlight"), 2000);
+  });
+  return true;
+}
 
-  try {
-    // 1. Delete the task
-    await deleteDoc(doc(db, "tasks", firestoreId));
+/**
+ * Show the period containing a task and highlight it
+ * @param {Object} task - Task or occurrence
+ */
+function jumpToTask(task) {
+  // The month view has no task blocks to highlight
+  if (currentView === "month") setView("week");
 
-    // 2. Clear references from reminders + group_reminders
-    await clearEventLink(currentUser.uid, "reminders", firestoreId);
-    await clearEventLink(currentUser.uid, "group_reminders", firestoreId);
+  anchorDate = task.date;
+  updateWeekDisplay();
+  renderTasks();
 
-    showNotification("Task deleted successfully", "success");
-  } catch (error) {
-    console.error("Error deleting task:", error);
-    showNotification("Failed to delete task", "error");
+  let selector = `[data-task-id="${task.firestoreId}"]`;
+  if (task.occurrenceDate) {
+    selector += `[data-occurrence-date="${task.occurrenceDate}"]`;
   }
-}
-
-async function clearEventLink(userId, collectionName, firestoreId) {
-  const ref = collection(db, "users", userId, collectionName);
-  const q = query(ref, where("eventLink", "==", firestoreId));
-  const snapshot = await getDocs(q);
+  const elements = [...document.querySelectorAll(selector)].filter(
+    (element) => !element.classList.contains("hidden")
+  );
 
-  if (snapshot.empty) {
-    console.log(`[${collectionName}] No reminders to clear.`);
+  // Outside the loaded window: jump once the task listener brings it in
+  if (
+    !elements.length &&
+    !tasks.some((loaded) => loaded.firestoreId === task.firestoreId)
+  ) {
+    pendingTaskJump = task;
     return;
   }
 
-  for (const docSnap of snapshot.docs) {
-    await updateDoc(doc(db, "users", userId, collectionName, docSnap.id), {
-      eventLink: null,
-    });
+  if (!flashElements(elements)) {
+    showNotification(
+      shouldShowTask(task.category || "study")
+        ? "Task is not in this view"
+        : "Task is hidden by the category filter",
+      "info"
+    );
   }
-
-  console.log(
-    `[${collectionName}] Cleared eventLink for ${snapshot.docs.length} reminders`
-  );
 }
 
 /**
- * Load tasks from Firestore with real-time updates
+ * Show a reminder in the reminder list (and its due week in the calendar)
+ * @param {Object} reminder - Reminder
+ * @param {string} type - "personal" or "group"
  */
-function loadTasks() {
-  if (!currentUser) return;
-
-  // Unsubscribe from previous listener if exists
-  if (unsubscribe) {
-    unsubscribe();
+function jumpToReminder(reminder, type) {
+  document
+    .querySelector(`.reminder-switch button[data-type="${type}"]`)
+    .click();
+
+  const due = reminder.due_date ? toJsDate(reminder.due_date) : null;
+  if (due) {
+    anchorDate = dateKeyInZone(due);
+    updateWeekDisplay();
+    renderTasks();
   }
 
-  // Create real-time listener for user's tasks
-  const q = query(
-    collection(db, "tasks"),
-    where("userId", "==", currentUser.uid)
+  const container = document.getElementById(
+    type === "group" ? "group-reminder-container" : "reminder-container"
   );
-
-  unsubscribe = onSnapshot(
-    q,
-    (querySnapshot) => {
-      tasks = [];
-      querySnapshot.forEach((docSnap) => {
-        tasks.push({
-          firestoreId: docSnap.id,
-          ...docSnap.data(),
-        });
-      });
-      renderTasks();
-    },
-    (error) => {
-      console.error("Error loading tasks:", error);
-    }
+  flashElements(
+    container.querySelectorAll(`[data-reminder-id="${reminder.id}"]`)
   );
 }
 
@@ -1020,25 +5497,53 @@ async function checkJoinCode() {
 
   if (joinCode && currentUser) {
     await joinGroup(joinCode);
-    // Remove join parameter from URL
-    window.history.replaceState({}, document.title, window.location.pathname);
+    // Remove the join parameter, keeping the calendar state
+    urlParams.delete("join");
+    const query = urlParams.toString().replace(/%2C/gi, ",");
+    window.history.replaceState(
+      {},
+      document.title,
+      `${window.location.pathname}${query ? `?${query}` : ""}`
+    );
   }
 }
 
 /**
  * Ensure user document exists in Firestore
+ * @returns {Object} - User document data
  */
 async function ensureUserDocument(user) {
   const userRef = doc(db, "users", user.uid);
   const userDoc = await getDoc(userRef);
 
   if (!userDoc.exists()) {
-    await setDoc(userRef, {
+    const userData = {
       email: user.email,
       createdAt: new Date(),
       groups: [],
-    });
+    };
+    await setDoc(userRef, userData);
+    return userData;
   }
+
+  return userDoc.data();
+}
+
+/**
+ * Show the planner in the time zone chosen on the profile page
+ * @param {string} timeZone - IANA zone name (empty for the browser's zone)
+ */
+function applyTimeZone(timeZone) {
+  const previousZone = getTimeZone();
+  const previousToday = todayKey();
+  if (setTimeZone(timeZone) === previousZone) return;
+
+  // Stay on "today" if the new zone is already on another date
+  if (anchorDate === previousToday) anchorDate = todayKey();
+  setView(currentView);
+
+  // Loaded tasks are converted to the display zone when the list is built
+  refreshTasks();
 }
 
 // ============================================
@@ -1071,20 +5576,38 @@ document.addEventListener("DOMContentLoaded", function () {
     if (user) {
       currentUser = user;
       console.log("User logged in:", user.email);
+      loadPendingChanges();
 
-      // Ensure user document exists
-      await ensureUserDocument(user);
+      // Ensure user document exists and use the user's time zone
+      const userData = await ensureUserDocument(user);
+      resetTaskLoading();
+      applyTimeZone(userData.timeZone);
+      applyCalendarSettings(userData.calendarSettings);
+      applyNotificationSettings(userData.notificationSettings);
+      applyCategorySettings(userData);
 
-      // Load tasks and groups
+      // Load tasks (around the period on screen) and groups
       loadTasks();
       initGroupsListener();
 
+      // Older tasks get an endDate in the background; the task listener
+      // shows them as their writes land
+      backfillTaskEndDates(userData).catch((error) => {
+        console.error("Error backfilling task end dates:", error);
+      });
+
+      // Changes left unsent by an earlier visit
+      watchPendingWrites();
+
       // Check for join code in URL
       await checkJoinCode();
     } else {
       currentUser = null;
-      tasks = [];
+      loadPendingChanges();
+      resetTaskLoading();
+      scheduleAlerts();
       userGroups = [];
+      changeHistory.clear();
       renderTasks();
       console.log("No user logged in");
     }
@@ -1196,14 +5719,23 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   });
 
-  // Category filter checkboxes
-  document.querySelectorAll(".category-filter").forEach((checkbox) => {
-    checkbox.addEventListener("change", (e) => {
-      const category = e.target.dataset.category;
-      const isChecked = e.target.checked;
-      updateCategoryFilter(category, isChecked);
+  // Category filters and manager
+  renderCategoryControls();
+  document
+    .getElementById("manageCategoriesBtn")
+    .addEventListener("click", () => {
+      dropdownMenu.classList.remove("show");
+      openCategoryManager();
     });
-  });
+  document
+    .getElementById("addCategoryForm")
+    .addEventListener("submit", addCategory);
+  document
+    .getElementById("saveCategoryBtn")
+    .addEventListener("click", saveCategoryManager);
+  document
+    .getElementById("cancelCategoryBtn")
+    .addEventListener("click", closeCategoryManager);
 
   // Logout button
   document.getElementById("logout-btn").addEventListener("click", async () => {
@@ -1214,17 +5746,221 @@ document.addEventListener("DOMContentLoaded", function () {
   // Week navigation
   document
     .getElementById("prevWeek")
-    .addEventListener("click", () => changeWeek(-1));
+    .addEventListener("click", () => changePeriod(-1));
   document
     .getElementById("nextWeek")
-    .addEventListener("click", () => changeWeek(1));
+    .addEventListener("click", () => changePeriod(1));
+  document.getElementById("todayBtn").addEventListener("click", goToToday);
+  window.addEventListener("popstate", handlePopState);
+
+  // Offline / sync status
+  window.addEventListener("online", handleConnectionChange);
+  window.addEventListener("offline", handleConnectionChange);
+  updateSyncStatus();
+  document
+    .getElementById("closeSyncConflictBtn")
+    .addEventListener("click", () => {
+      document.getElementById("syncConflictModal").style.display = "none";
+    });
+
+  // View switcher
+  document.querySelectorAll(".view-btn").forEach((btn) => {
+    btn.addEventListener("click", () => setView(btn.dataset.view));
+  });
 
   // Add task button
-  document.getElementById("addBtn").addEventListener("click", openModal);
+  document
+    .getElementById("addBtn")
+    .addEventListener("click", () => openModal());
 
   // Cancel button
   document.getElementById("cancelBtn").addEventListener("click", closeModal);
 
+  // Command palette: Ctrl/Cmd+K from anywhere
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      const palette = document.getElementById("commandPalette");
+      if (palette.classList.contains("hidden")) {
+        openCommandPalette();
+      } else {
+        closeCommandPalette();
+      }
+    }
+  });
+  document
+    .getElementById("commandInput")
+    .addEventListener("input", updateCommandResults);
+  document
+    .getElementById("commandInput")
+    .addEventListener("keydown", handleCommandKeydown);
+  document.getElementById("commandPalette").addEventListener("click", (e) => {
+    if (e.target.id === "commandPalette") closeCommandPalette();
+  });
+  document.getElementById("openPaletteBtn").addEventListener("click", () => {
+    dropdownMenu.classList.remove("show");
+    openCommandPalette();
+  });
+
+  // Task details panel
+  document
+    .getElementById("taskDescription")
+    .addEventListener("input", updateDescriptionPreview);
+  document
+    .getElementById("taskLinks")
+    .addEventListener("input", renderTaskLinks);
+  document
+    .getElementById("addChecklistItemBtn")
+    .addEventListener("click", addChecklistItem);
+  document
+    .getElementById("newChecklistItem")
+    .addEventListener("keydown", (e) => {
+      // Enter adds the subtask instead of submitting the task form
+      if (e.key === "Enter") {
+        e.preventDefault();
+        addChecklistItem();
+      }
+    });
+
+  // iCalendar import / export
+  document.getElementById("importIcsBtn").addEventListener("click", () => {
+    dropdownMenu.classList.remove("show");
+    openIcsImport();
+  });
+  document.getElementById("exportIcsBtn").addEventListener("click", () => {
+    dropdownMenu.classList.remove("show");
+    openIcsExport();
+  });
+  document.getElementById("icsFile").addEventListener("change", handleIcsFile);
+  document
+    .getElementById("confirmIcsImportBtn")
+    .addEventListener("click", confirmIcsImport);
+  document
+    .getElementById("cancelIcsImportBtn")
+    .addEventListener("click", closeIcsImport);
+  document
+    .getElementById("confirmIcsExportBtn")
+    .addEventListener("click", exportIcs);
+  document
+    .getElementById("cancelIcsExportBtn")
+    .addEventListener("click", closeIcsExport);
+
+  // Click-and-drag on empty cells to create a task
+  const calendarBody = document.getElementById("calendarBody");
+  calendarBody.addEventListener("mousedown", handleCellMouseDown);
+  calendarBody.addEventListener("touchstart", handleCellTouchStart, {
+    passive: true,
+  });
+
+  document
+    .getElementById("quickCreateForm")
+    .addEventListener("submit", saveQuickCreate);
+  document
+    .getElementById("quickCreateMore")
+    .addEventListener("click", openQuickCreateInModal);
+
+  // Close the quick-create popover on a press anywhere else
+  ["mousedown", "touchstart"].forEach((type) => {
+    document.addEventListener(type, (e) => {
+      const quickCreate = document.getElementById("quickCreate");
+      if (
+        !quickCreate.classList.contains("hidden") &&
+        !quickCreate.contains(e.target)
+      ) {
+        closeQuickCreate();
+      }
+    });
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeQuickCreate();
+  });
+
+  // Undo: Ctrl/Cmd+Z, redo: Ctrl/Cmd+Shift+Z or Ctrl+Y.
+  // Text fields keep their own undo.
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (
+      target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+    ) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undoHistory();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redoHistory();
+    }
+  });
+
+  // Drag snap setting
+  const snapSelect = document.getElementById("snapSelect");
+  snapSelect.value = snapMinutes;
+  snapSelect.addEventListener("change", () => {
+    snapMinutes = parseInt(snapSelect.value);
+    localStorage.setItem("dragSnapMinutes", snapMinutes);
+  });
+
+  // Due-time notifications
+  setupAlerts();
+  renderNotificationControls();
+  document
+    .getElementById("notificationToggleBtn")
+    .addEventListener("click", toggleNotifications);
+  document
+    .getElementById("reminderLeadSelect")
+    .addEventListener("change", (e) => {
+      updateNotificationSettings({
+        reminderLeadMinutes: parseInt(e.target.value),
+      });
+    });
+  document.getElementById("taskLeadSelect").addEventListener("change", (e) => {
+    updateNotificationSettings({ taskLeadMinutes: parseInt(e.target.value) });
+  });
+
+  // Calendar settings (saved on the user document)
+  renderCalendarSettingsControls();
+  document.getElementById("startHourSelect").addEventListener("change", (e) => {
+    updateStartHour(parseInt(e.target.value));
+  });
+  document.getElementById("endHourSelect").addEventListener("change", (e) => {
+    updateCalendarSettings({ endHour: parseInt(e.target.value) });
+  });
+  document.getElementById("weekStartSelect").addEventListener("change", (e) => {
+    updateCalendarSettings({ weekStart: parseInt(e.target.value) });
+  });
+  document
+    .getElementById("timeFormatSelect")
+    .addEventListener("change", (e) => {
+      updateCalendarSettings({ timeFormat: e.target.value });
+    });
+  document
+    .getElementById("hideWeekendsToggle")
+    .addEventListener("change", (e) => {
+      updateCalendarSettings({ hideWeekends: e.target.checked });
+    });
+
+  // Keep the end date on or after the start date
+  document.getElementById("taskDate").addEventListener("change", (e) => {
+    const endDateInput = document.getElementById("taskEndDate");
+    if (!endDateInput.value || endDateInput.value < e.target.value) {
+      endDateInput.value = e.target.value;
+    }
+  });
+
+  // Recurrence inputs
+  document
+    .getElementById("taskRepeat")
+    .addEventListener("change", updateRecurrenceForm);
+  document
+    .getElementById("taskRepeatEnd")
+    .addEventListener("change", updateRecurrenceForm);
+
   // Task form submission
   document
     .getElementById("taskForm")
@@ -1240,22 +5976,57 @@ document.addEventListener("DOMContentLoaded", function () {
       const taskCategory = document.getElementById("taskCategory").value;
       const taskDate = document.getElementById("taskDate").value;
       const taskStartTime = document.getElementById("taskStartTime").value;
+      const taskEndDate =
+        document.getElementById("taskEndDate").value || taskDate;
       const taskTime = document.getElementById("taskTime").value;
 
-      // If end time is provided, validate that it's after start time
-      if (taskTime) {
-        const startHour = parseInt(taskStartTime.split(":")[0]);
-        const startMinute = parseInt(taskStartTime.split(":")[1]);
-        const endHour = parseInt(taskTime.split(":")[0]);
-        const endMinute = parseInt(taskTime.split(":")[1]);
+      // If end time is provided, validate that the end is after the start
+      // (overnight tasks set the next day as end date)
+      if (
+        taskTime &&
+        toAbsoluteMinutes(taskEndDate, taskTime) <=
+          toAbsoluteMinutes(taskDate, taskStartTime)
+      ) {
+        showNotification("End must be after start", "error");
+        return;
+      }
 
-        if (
-          endHour < startHour ||
-          (endHour === startHour && endMinute <= startMinute)
-        ) {
-          showNotification("End time must be after start time", "error");
-          return;
-        }
+      const recurrence = readRecurrenceForm(taskDate);
+      if (recurrence && recurrence.until && recurrence.until < taskDate) {
+        showNotification("Repeat end date must be after the task date", "error");
+        return;
+      }
+
+      const fields = {
+        date: taskDate,
+        startTime: taskStartTime,
+        endDate: taskEndDate,
+        time: taskTime || taskStartTime, // Use startTime as fallback if no end time
+      };
+
+      // Only check when the time is new or changed
+      const range = getTaskRange(fields);
+      const unchanged =
+        editingTask &&
+        editingTask.date === fields.date &&
+        editingTask.startTime === fields.startTime &&
+        editingTask.endDate === fields.endDate &&
+        editingTask.time === fields.time;
+      if (!unchanged) {
+        const resolved = await resolveConflicts(range, editingTask);
+        if (!resolved) return;
+        Object.assign(fields, rangeToFields(resolved.start, resolved.end));
+      }
+
+      if (editingTask) {
+        await saveTaskEdit(editingTask, {
+          name: taskName,
+          category: taskCategory,
+          ...fields,
+          ...readTaskDetails(),
+          recurrence,
+        });
+        return;
       }
 
       try {
@@ -1263,15 +6034,26 @@ document.addEventListener("DOMContentLoaded", function () {
           userId: currentUser.uid,
           name: taskName,
           category: taskCategory,
-          date: taskDate,
-          startTime: taskStartTime,
-          time: taskTime || taskStartTime, // Use startTime as fallback if no end time
+          ...fields,
+          ...readTaskDetails(),
+          timeZone: getTimeZone(),
           createdAt: new Date(),
         };
 
-        await addDoc(collection(db, "tasks"), taskData);
+        if (recurrence) {
+          taskData.recurrence = recurrence;
+          taskData.exceptions = [];
+        }
+
+        const entry = await runWithHistory("Add task", () =>
+          trackedAddDoc(collection(db, "tasks"), taskData)
+        );
 
-        showNotification("Task added successfully!", "success");
+        showNotification(
+          "Task added successfully!",
+          "success",
+          undoButton(entry)
+        );
         closeModal();
       } catch (error) {
         console.error("Error adding task:", error);
@@ -1285,6 +6067,10 @@ document.addEventListener("DOMContentLoaded", function () {
     const createGroupModal = document.getElementById("createGroupModal");
     const joinGroupModal = document.getElementById("joinGroupModal");
     const groupDetailsModal = document.getElementById("groupDetailsModal");
+    const icsImportModal = document.getElementById("icsImportModal");
+    const icsExportModal = document.getElementById("icsExportModal");
+    const categoryModal = document.getElementById("categoryModal");
+    const syncConflictModal = document.getElementById("syncConflictModal");
 
     if (event.target === taskModal) {
       closeModal();
@@ -1298,6 +6084,18 @@ document.addEventListener("DOMContentLoaded", function () {
     if (event.target === groupDetailsModal) {
       groupDetailsModal.style.display = "none";
     }
+    if (event.target === icsImportModal) {
+      closeIcsImport();
+    }
+    if (event.target === icsExportModal) {
+      closeIcsExport();
+    }
+    if (event.target === categoryModal) {
+      closeCategoryManager();
+    }
+    if (event.target === syncConflictModal) {
+      syncConflictModal.style.display = "none";
+    }
   });
 });
 
@@ -1346,6 +6144,16 @@ switchButtons.forEach((btn, index) => {
   });
 });
 
+// Sort options of the two lists
+[
+  ["personal", "reminder-sort"],
+  ["group", "group-reminder-sort"],
+].forEach(([type, id]) => {
+  const select = document.getElementById(id);
+  select.value = reminderSort[type];
+  select.addEventListener("change", () => setReminderSort(type, select.value));
+});
+
 /* ============================================
    REMINDER CONTENT
    ============================================ */
@@ -1359,42 +6167,40 @@ async function addReminder(
     category = "",
     priority = 3,
     eventLink = null,
+    repeat = null,
   }
 ) {
   if (!title) return console.error("Title is required");
   try {
     const remindersRef = collection(db, "users", userId, "reminders");
-    const due = dueDate ? endOfDayLocalFromDate(dueDate) : null;
 
-    await addDoc(remindersRef, {
-      title,
-      due_date: due,
-      estimate_minutes: estimate,
-      category,
-      priority,
-      eventLink,
-      is_completed: false,
-      finished_at: null,
-      created_at: new Date(),
-      updated_at: new Date(),
-    });
+    // A repeating reminder needs a first due date: today if none was given
+    const dueKey = dueDate || (repeat ? todayKey() : null);
+    const due = dueKey ? endOfDay(dueKey) : null;
+    if (repeat && repeat.freq === "monthly") {
+      repeat = { ...repeat, dayOfMonth: parseDateKey(dueKey).getDate() };
+    }
+
+    const entry = await runWithHistory("Add reminder", () =>
+      trackedAddDoc(remindersRef, {
+        title,
+        due_date: due,
+        estimate_minutes: estimate,
+        category,
+        priority,
+        eventLink,
+        repeat,
+        is_completed: false,
+        finished_at: null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      })
+    );
     console.log("Reminder added!");
+    if (entry) showNotification("Reminder added", "success", undoButton(entry));
   } catch (error) {
     console.error("Error adding reminder:", error);
-  }
-}
-
-function endOfDayLocalFromDate(d) {
-  const localDate = new Date(
-    d.getFullYear(),
-    d.getMonth(),
-    d.getDate() + 1,
-    23,
-    59,
-    0,
-    0
-  );
-  return localDate;
+  }
 }
 
 function listenUserReminders(userId, callback) {
@@ -1413,22 +6219,126 @@ function listenUserReminders(userId, callback) {
   });
 }
 
+/**
+ * Complete or reopen a personal reminder. Completing an occurrence of a
+ * repeating reminder adds the next one, unless the one added before is still
+ * there; reopening it takes that one away again unless it was completed as
+ * well.
+ * @param {string} userId - Owner
+ * @param {string} reminderId - Reminder id
+ * @param {boolean} currentState - Whether it is completed now
+ */
 async function toggleReminderCompleted(userId, reminderId, currentState) {
   const reminderRef = doc(db, "users", userId, "reminders", reminderId);
-  await updateDoc(reminderRef, {
-    is_completed: !currentState,
-    finished_at: !currentState ? new Date() : null,
-    updated_at: new Date(),
+  const reminder = personalReminders.find((r) => r.id === reminderId);
+  const label = currentState ? "Reopen reminder" : "Complete reminder";
+  let nextDue = null;
+
+  const entry = await runWithHistory(label, async () => {
+    const changes = {
+      is_completed: !currentState,
+      finished_at: !currentState ? new Date() : null,
+      updated_at: new Date(),
+    };
+
+    // The occurrence that followed this one, if it is still there
+    const existingNext = reminder?.nextId
+      ? personalReminders.find((r) => r.id === reminder.nextId)
+      : null;
+
+    if (!currentState && isRepeating(reminder) && !existingNext) {
+      const next = getNextOccurrence(reminder);
+      const nextRef = await trackedAddDoc(
+        collection(db, "users", userId, "reminders"),
+        next
+      );
+      changes.nextId = nextRef.id;
+      nextDue = next.due_date;
+    } else if (
+      currentState &&
+      reminder?.nextId &&
+      !existingNext?.is_completed
+    ) {
+      // A next occurrence that was completed too is kept and stays linked,
+      // so completing this one again doesn't add another
+      if (existingNext) {
+        await trackedDeleteDoc(
+          doc(db, "users", userId, "reminders", reminder.nextId)
+        );
+      }
+      changes.nextId = null;
+    }
+
+    await trackedUpdateDoc(reminderRef, changes);
   });
+
+  if (entry) {
+    let message = currentState ? "Reminder reopened" : "Reminder completed";
+    if (nextDue) {
+      message += `, next due ${formatInZone(nextDue, {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      })}`;
+    }
+    showNotification(message, "success", undoButton(entry));
+  }
+}
+
+/**
+ * Data for the occurrence that follows a repeating reminder
+ * @param {Object} reminder - Occurrence being completed
+ * @returns {Object} - New reminder document
+ */
+function getNextOccurrence(reminder) {
+  const today = todayKey();
+  const dueKey = reminder.due_date
+    ? dateKeyInZone(toJsDate(reminder.due_date))
+    : today;
+
+  return {
+    title: reminder.title,
+    due_date: endOfDay(getNextDueKey(reminder.repeat, dueKey, today)),
+    estimate_minutes: reminder.estimate_minutes || null,
+    category: reminder.category || "",
+    priority: reminder.priority ?? 3,
+    eventLink: null,
+    repeat: reminder.repeat,
+    seriesId: reminder.seriesId || reminder.id,
+    is_completed: false,
+    finished_at: null,
+    created_at: new Date(),
+    updated_at: new Date(),
+  };
+}
+
+/**
+ * Number of completed occurrences in a reminder's series
+ * @param {Object} reminder - Any occurrence of the series
+ * @returns {number}
+ */
+function countCompletedOccurrences(reminder) {
+  const seriesId = reminder.seriesId || reminder.id;
+  return personalReminders.filter(
+    (r) => r.is_completed && (r.seriesId || r.id) === seriesId
+  ).length;
 }
 
 /* ============================================
    REMINDER CARD
    ============================================ */
 function createReminderCard(reminder, isPast = false) {
+  // A reminder being edited keeps its edit view across list updates
+  const editor = getOpenReminderEditor("personal", reminder.id);
+  if (editor) return editor;
+
   const card = document.createElement("div");
   card.className = "reminder-card";
+  card.dataset.reminderId = reminder.id;
   if (reminder.is_completed) card.classList.add("completed");
+  card.addEventListener("click", () =>
+    openReminderEditor(card, reminder, "personal")
+  );
 
   // Checkbox
   const checkbox = document.createElement("div");
@@ -1452,6 +6362,10 @@ function createReminderCard(reminder, isPast = false) {
   const title = document.createElement("div");
   title.className = "reminder-title";
   title.textContent = reminder.title;
+  const priorityBadge = createPriorityBadge(reminder);
+  if (priorityBadge) title.appendChild(priorityBadge);
+  const categoryTag = createReminderCategoryTag(reminder);
+  if (categoryTag) title.appendChild(categoryTag);
 
   const due = document.createElement("div");
   due.className = "reminder-due";
@@ -1463,7 +6377,7 @@ function createReminderCard(reminder, isPast = false) {
     const date = reminder.due_date.toDate
       ? reminder.due_date.toDate()
       : new Date(reminder.due_date);
-    due.textContent = date.toLocaleDateString("en-US", {
+    due.textContent = formatInZone(date, {
       weekday: "short",
       month: "short",
       day: "numeric",
@@ -1475,6 +6389,16 @@ function createReminderCard(reminder, isPast = false) {
     }
   }
 
+  // Repeat rule, and how many occurrences are done so far
+  const repeat = document.createElement("div");
+  repeat.className = "reminder-repeat";
+  if (isRepeating(reminder)) {
+    const done = countCompletedOccurrences(reminder);
+    repeat.textContent = `🔁 ${describeRepeat(reminder.repeat)}${
+      !reminder.is_completed && done ? ` · ${done} done` : ""
+    }`;
+  }
+
   // Estimate
   const estimate = document.createElement("div");
   estimate.className = "reminder-estimate";
@@ -1499,20 +6423,24 @@ function createReminderCard(reminder, isPast = false) {
 
     finished.textContent =
       "Completed: " +
-      finishedAt.toLocaleDateString("en-US", {
+      formatInZone(finishedAt, {
         weekday: "short",
         month: "short",
         day: "numeric",
       }) +
       ", " +
-      finishedAt.toLocaleTimeString("en-US", {
+      formatInZone(finishedAt, {
         hour: "2-digit",
         minute: "2-digit",
+        hour12: calendarSettings.timeFormat === "12h",
       });
   }
 
   content.appendChild(title);
   content.appendChild(due);
+  if (repeat.textContent) {
+    content.appendChild(repeat);
+  }
   if (finished.textContent) {
     content.appendChild(finished);
   }
@@ -1532,26 +6460,16 @@ function renderReminders(reminders) {
   const listEl = document.getElementById("reminder-list");
   listEl.innerHTML = "";
 
-  const now = new Date();
+  const today = todayKey();
 
-  // Sort reminders by due date (nulls last)
-  reminders.sort((a, b) => {
-    const dateA = a.due_date
-      ? a.due_date.toDate
-        ? a.due_date.toDate()
-        : new Date(a.due_date)
-      : null;
-    const dateB = b.due_date
-      ? b.due_date.toDate
-        ? b.due_date.toDate()
-        : new Date(b.due_date)
-      : null;
+  // Category chips, then only the reminders of the chosen category
+  renderReminderFilterChips("personal", reminders);
+  reminders = reminders.filter((reminder) =>
+    matchesReminderFilter(reminder, reminderFilter.personal)
+  );
 
-    if (!dateA && !dateB) return 0;
-    if (!dateA) return 1;
-    if (!dateB) return -1;
-    return dateA - dateB;
-  });
+  // Sort reminders by the chosen key (missing due dates/estimates last)
+  reminders.sort(compareReminders(reminderSort.personal));
 
   // Split sections
   const pastReminders = [];
@@ -1566,7 +6484,7 @@ function renderReminders(reminders) {
       const due = reminder.due_date.toDate
         ? reminder.due_date.toDate()
         : new Date(reminder.due_date);
-      if (due < now.setHours(0, 0, 0, 0)) pastReminders.push(reminder);
+      if (dateKeyInZone(due) < today) pastReminders.push(reminder);
       else ongoingReminders.push(reminder);
     } else {
       noAlertReminders.push(reminder);
@@ -1589,7 +6507,7 @@ function renderReminders(reminders) {
   });
 
   // Helper to render a section
-  function renderSection(title, arr, isPast = false) {
+  function renderSection(title, arr, isPast = false, sortBy = null) {
     if (arr.length === 0) return;
 
     const divider = document.createElement("div");
@@ -1597,19 +6515,172 @@ function renderReminders(reminders) {
     divider.textContent = title;
     listEl.appendChild(divider);
 
-    arr.forEach((reminder) => {
-      const card = createReminderCard(reminder, isPast);
-      listEl.appendChild(card);
-    });
+    appendReminderCards(listEl, arr, sortBy, (reminder) =>
+      createReminderCard(reminder, isPast)
+    );
   }
 
-  // Render all sections
-  renderSection("Past", pastReminders, true);
-  renderSection("Ongoing", ongoingReminders);
-  renderSection("No alert", noAlertReminders);
+  // Render all sections (completed ones stay newest first)
+  const sortBy = reminderSort.personal;
+  renderSection("Past", pastReminders, true, sortBy);
+  renderSection("Ongoing", ongoingReminders, false, sortBy);
+  renderSection("No alert", noAlertReminders, false, sortBy);
   renderSection("Completed", completedReminders);
 }
 
+/**
+ * Add the cards of one reminder section. Sorted by priority, the cards are
+ * grouped under a label per priority.
+ * @param {HTMLElement} listEl - List to add to
+ * @param {Object[]} reminders - Sorted reminders of the section
+ * @param {string|null} sortBy - Sort option of the list
+ * @param {Function} createCard - reminder => card element
+ */
+function appendReminderCards(listEl, reminders, sortBy, createCard) {
+  let group = null;
+  reminders.forEach((reminder) => {
+    if (sortBy === "priority" && getPriority(reminder) !== group) {
+      group = getPriority(reminder);
+      const label = document.createElement("div");
+      label.className = "reminder-priority-group";
+      label.textContent = `${PRIORITY_LABELS[group]} priority`;
+      listEl.appendChild(label);
+    }
+    listEl.appendChild(createCard(reminder));
+  });
+}
+
+/**
+ * Badge for high and medium priority reminders
+ * @param {Object} reminder - Reminder
+ * @returns {HTMLElement|null} - null for normal priority
+ */
+function createPriorityBadge(reminder) {
+  const priority = getPriority(reminder);
+  if (priority === DEFAULT_PRIORITY) return null;
+
+  const badge = document.createElement("span");
+  badge.className = `reminder-priority priority-${priority}`;
+  badge.textContent = PRIORITY_LABELS[priority];
+  return badge;
+}
+
+/**
+ * Change the order of a reminder list
+ * @param {string} type - "personal" or "group"
+ * @param {string} sortBy - "due", "priority" or "estimate"
+ */
+function setReminderSort(type, sortBy) {
+  reminderSort[type] = sortBy;
+  localStorage.setItem(`reminderSort:${type}`, sortBy);
+  renderReminderList(type);
+}
+
+/**
+ * Show only the reminders of one category in a list
+ * @param {string} type - "personal" or "group"
+ * @param {string} filter - "all", "none" or a category id
+ */
+function setReminderFilter(type, filter) {
+  reminderFilter[type] = filter;
+  localStorage.setItem(`reminderFilter:${type}`, filter);
+  renderReminderList(type);
+}
+
+/**
+ * Re-render a reminder list from the last listener update
+ * @param {string} type - "personal" or "group"
+ */
+function renderReminderList(type) {
+  if (type === "group") {
+    renderGroupReminders(groupReminders);
+  } else {
+    renderReminders(personalReminders);
+  }
+}
+
+/**
+ * Category of a reminder, if it is one of the user's categories. Older
+ * reminders carry the placeholder "General", and a group reminder may use a
+ * category only its creator has; both count as no category.
+ * @param {Object} reminder - Reminder
+ * @returns {string} - Category id, "" for none
+ */
+function getReminderCategory(reminder) {
+  const id = reminder.category;
+  return categories.some((category) => category.id === id) ? id : "";
+}
+
+/**
+ * Check a reminder against a list's category chip
+ * @param {Object} reminder - Reminder
+ * @param {string} filter - "all", "none" or a category id
+ * @returns {boolean}
+ */
+function matchesReminderFilter(reminder, filter) {
+  if (filter === "all") return true;
+  return getReminderCategory(reminder) === (filter === "none" ? "" : filter);
+}
+
+/**
+ * Category chips above a reminder list: "All", the categories its reminders
+ * use and "No category". Nothing is shown while no reminder has a category.
+ * @param {string} type - "personal" or "group"
+ * @param {Object[]} reminders - All reminders of the list
+ */
+function renderReminderFilterChips(type, reminders) {
+  const container = document.getElementById(
+    type === "group" ? "group-reminder-filter-chips" : "reminder-filter-chips"
+  );
+  container.innerHTML = "";
+
+  const selected = reminderFilter[type];
+  const used = new Set(reminders.map(getReminderCategory));
+  const chips = categories
+    .filter((category) => used.has(category.id) || category.id === selected)
+    .map((category) => ({ value: category.id, label: category.name }));
+  if (!chips.length && selected === "all") return;
+
+  if (used.has("") || selected === "none") {
+    chips.push({ value: "none", label: "No category" });
+  }
+
+  [{ value: "all", label: "All" }, ...chips].forEach(({ value, label }) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "reminder-filter-chip";
+    chip.classList.toggle("active", value === selected);
+    if (value !== "all" && value !== "none") {
+      const swatch = document.createElement("span");
+      swatch.className = "category-swatch";
+      applyCategoryColor(swatch, value);
+      chip.appendChild(swatch);
+    }
+    chip.appendChild(document.createTextNode(label));
+    chip.addEventListener("click", () => setReminderFilter(type, value));
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * Category tag shown next to a reminder's title
+ * @param {Object} reminder - Reminder
+ * @returns {HTMLElement|null} - null without a category
+ */
+function createReminderCategoryTag(reminder) {
+  const id = getReminderCategory(reminder);
+  if (!id) return null;
+
+  const tag = document.createElement("span");
+  tag.className = "reminder-category";
+  const swatch = document.createElement("span");
+  swatch.className = "category-swatch";
+  applyCategoryColor(swatch, id);
+  tag.appendChild(swatch);
+  tag.appendChild(document.createTextNode(findCategory(categories, id).name));
+  return tag;
+}
+
 /* ============================================
    DELETE REMINDER 
    ============================================ */
@@ -1629,14 +6700,18 @@ function closeDeletePopup() {
 document.getElementById("confirm-yes").addEventListener("click", async () => {
   if (!pendingDeleteId) return;
 
-  try {
-    await deleteReminder(auth.currentUser.uid, pendingDeleteId);
-  } catch (error) {}
-  try {
-    await deleteGroupReminder(auth.currentUser.uid, pendingDeleteId);
-  } catch (error) {}
+  const reminderId = pendingDeleteId;
+  const entry = await runWithHistory("Delete reminder", async () => {
+    try {
+      await deleteReminder(auth.currentUser.uid, reminderId);
+    } catch (error) {}
+    try {
+      await deleteGroupReminder(auth.currentUser.uid, reminderId);
+    } catch (error) {}
+  });
 
   closeDeletePopup();
+  if (entry) showNotification("Reminder deleted", "success", undoButton(entry));
 });
 
 document.getElementById("confirm-no").addEventListener("click", () => {
@@ -1645,19 +6720,312 @@ document.getElementById("confirm-no").addEventListener("click", () => {
 
 async function deleteReminder(uid, reminderId) {
   const ref = doc(db, "users", uid, "reminders", reminderId);
-  await deleteDoc(ref);
+  await trackedDeleteDoc(ref);
 }
 
 async function deleteGroupReminder(userId, reminderId) {
   try {
     const ref = doc(db, "users", userId, "group_reminders", reminderId);
-    await deleteDoc(ref);
+    await trackedDeleteDoc(ref);
     console.log("Group reminder deleted for user:", userId);
   } catch (error) {
     console.error("Error deleting user group reminder:", error);
   }
 }
 
+/* ============================================
+   EDIT REMINDER
+   ============================================ */
+// The card currently shown as an edit view: { type, id, element }
+let reminderEditor = null;
+
+/**
+ * Edit view to show in place of a reminder's card, if it is being edited
+ * @param {string} type - "personal" or "group"
+ * @param {string} reminderId - Reminder id
+ * @returns {HTMLElement|null}
+ */
+function getOpenReminderEditor(type, reminderId) {
+  if (reminderEditor?.type === type && reminderEditor.id === reminderId) {
+    return reminderEditor.element;
+  }
+  return null;
+}
+
+/**
+ * Close the edit view and show the card again
+ */
+function closeReminderEditor() {
+  if (!reminderEditor) return;
+
+  const { type } = reminderEditor;
+  reminderEditor = null;
+  renderReminderList(type);
+}
+
+/**
+ * Add a labelled field to the edit view
+ * @param {HTMLElement} form - Edit view
+ * @param {string} text - Label text
+ * @param {HTMLElement} input - Input or select
+ * @param {string} name - Field name, used for the input's id
+ * @returns {HTMLElement} - The row
+ */
+function addReminderEditRow(form, text, input, name) {
+  const row = document.createElement("div");
+  row.className = "form-row";
+
+  const label = document.createElement("label");
+  label.textContent = text;
+  input.id = `reminder-edit-${name}`;
+  label.htmlFor = input.id;
+
+  row.appendChild(label);
+  row.appendChild(input);
+  form.appendChild(row);
+  return row;
+}
+
+/**
+ * Replace a reminder card with an edit view for all of its fields
+ * @param {HTMLElement} card - Card to replace
+ * @param {Object} reminder - Reminder shown on the card
+ * @param {string} type - "personal" or "group"
+ */
+function openReminderEditor(card, reminder, type) {
+  if (reminderEditor) {
+    // Closing re-renders a list, which may have replaced this card
+    closeReminderEditor();
+    const listId = type === "group" ? "group-reminder-list" : "reminder-list";
+    card = document.querySelector(
+      `#${listId} [data-reminder-id="${reminder.id}"]`
+    );
+    if (!card) return;
+  }
+
+  const form = document.createElement("form");
+  form.className = "reminder-card reminder-editor";
+  form.dataset.reminderId = reminder.id;
+  if (type === "group") form.classList.add("group");
+
+  const title = document.createElement("input");
+  title.type = "text";
+  title.className = "reminder-edit-title";
+  title.required = true;
+  title.value = reminder.title || "";
+  form.appendChild(title);
+
+  const due = document.createElement("input");
+  due.type = "date";
+  due.value = reminder.due_date
+    ? dateKeyInZone(toJsDate(reminder.due_date))
+    : "";
+  addReminderEditRow(form, "Due Date:", due, "due");
+
+  const estimate = document.createElement("input");
+  estimate.type = "number";
+  estimate.min = "1";
+  estimate.value = reminder.estimate_minutes || "";
+  addReminderEditRow(form, "Estimate time (min):", estimate, "estimate");
+
+  const priority = document.createElement("select");
+  Object.entries(PRIORITY_LABELS).forEach(([value, label]) => {
+    priority.appendChild(new Option(label, value));
+  });
+  priority.value = getPriority(reminder);
+  addReminderEditRow(form, "Priority:", priority, "priority");
+
+  const category = document.createElement("select");
+  fillReminderCategorySelect(category);
+  category.value = getReminderCategory(reminder);
+  addReminderEditRow(form, "Category:", category, "category");
+
+  // Group reminders don't repeat
+  let repeat = null;
+  let interval = null;
+  if (type === "personal") {
+    repeat = document.createElement("select");
+    [...repeatSelect.options].forEach((option) => {
+      repeat.appendChild(new Option(option.textContent, option.value));
+    });
+    const rule = reminder.repeat;
+    repeat.value = !isRepeating(reminder)
+      ? ""
+      : rule.mode === "afterCompletion"
+      ? "afterCompletion"
+      : rule.freq;
+    addReminderEditRow(form, "Repeat:", repeat, "repeat");
+
+    interval = document.createElement("input");
+    interval.type = "number";
+    interval.min = "1";
+    interval.value = rule?.interval || 1;
+    const intervalRow = addReminderEditRow(form, "", interval, "interval");
+
+    const updateInterval = () => {
+      const unit = REPEAT_INTERVAL_LABELS[repeat.value];
+      intervalRow.classList.toggle("hidden", !unit);
+      intervalRow.querySelector("label").textContent = unit || "";
+    };
+    repeat.addEventListener("change", updateInterval);
+    updateInterval();
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "reminder-edit-actions";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.addEventListener("click", closeReminderEditor);
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "submit";
+  saveBtn.className = "reminder-edit-save";
+  saveBtn.textContent = "Save";
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+  form.appendChild(actions);
+
+  form.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeReminderEditor();
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (!title.value.trim()) return;
+
+    const fields = {
+      title: title.value.trim(),
+      dueDate: due.value || null, // "YYYY-MM-DD" in the display zone
+      estimate: estimate.value ? parseInt(estimate.value) : null,
+      priority: parseInt(priority.value),
+      category: category.value,
+    };
+    if (repeat) fields.repeat = toRepeatRule(repeat.value, interval.value);
+
+    reminderEditor = null;
+    if (type === "group") {
+      updateGroupReminder(auth.currentUser.uid, reminder, fields);
+    } else {
+      updateReminder(auth.currentUser.uid, reminder.id, fields);
+    }
+    renderReminderList(type);
+  });
+
+  reminderEditor = { type, id: reminder.id, element: form };
+  card.replaceWith(form);
+  title.focus();
+}
+
+/**
+ * Fields written when a reminder is edited
+ * @param {Object} fields - { title, dueDate, estimate, priority, category,
+ *                          repeat? }
+ * @returns {Object} - Reminder document changes
+ */
+function getReminderEditChanges(fields) {
+  const { title, dueDate, estimate, priority, category } = fields;
+  const changes = {
+    title,
+    estimate_minutes: estimate,
+    priority,
+    category,
+    updated_at: new Date(),
+  };
+
+  // Same rules as a new reminder: repeating needs a due date, monthly
+  // remembers the day of the month
+  let dueKey = dueDate;
+  if ("repeat" in fields) {
+    let repeat = fields.repeat;
+    dueKey = dueDate || (repeat ? todayKey() : null);
+    if (repeat && repeat.freq === "monthly") {
+      repeat = { ...repeat, dayOfMonth: parseDateKey(dueKey).getDate() };
+    }
+    changes.repeat = repeat;
+  }
+
+  changes.due_date = dueKey ? endOfDay(dueKey) : null;
+  return changes;
+}
+
+/**
+ * Save an edited personal reminder
+ * @param {string} userId - Owner
+ * @param {string} reminderId - Reminder id
+ * @param {Object} fields - See getReminderEditChanges
+ */
+async function updateReminder(userId, reminderId, fields) {
+  try {
+    const ref = doc(db, "users", userId, "reminders", reminderId);
+    const entry = await runWithHistory("Edit reminder", () =>
+      trackedUpdateDoc(ref, getReminderEditChanges(fields))
+    );
+    if (entry) {
+      showNotification("Reminder updated", "success", undoButton(entry));
+    }
+  } catch (error) {
+    console.error("Error updating reminder:", error);
+  }
+}
+
+/**
+ * Save an edited group reminder. The creator's edit goes to the group's
+ * copy and every member's; anyone else only changes their own copy.
+ * @param {string} userId - Current user
+ * @param {Object} reminder - The user's copy (users/{uid}/group_reminders)
+ * @param {Object} fields - See getReminderEditChanges
+ */
+async function updateGroupReminder(userId, reminder, fields) {
+  const changes = getReminderEditChanges(fields);
+  const ownRef = doc(db, "users", userId, "group_reminders", reminder.id);
+  const groupId = reminder.group_id;
+  const reminderId = reminder.reminder_id || reminder.id;
+
+  try {
+    // Offline and not cached, the creator is unknown: keep the edit local
+    const canonicalRef = groupId
+      ? doc(db, "groups", groupId, "group_reminders", reminderId)
+      : null;
+    const canonical = canonicalRef
+      ? await readDocData(canonicalRef).catch(() => null)
+      : null;
+    const isCreator = canonical?.created_by === userId;
+
+    const entry = await runWithHistory("Edit group reminder", async () => {
+      if (!isCreator) {
+        await trackedUpdateDoc(ownRef, changes);
+        return;
+      }
+
+      await trackedUpdateDoc(canonicalRef, changes);
+
+      const group = await readDocData(doc(db, "groups", groupId));
+      for (const memberId of group?.members || []) {
+        const copyRef = doc(
+          db,
+          "users",
+          memberId,
+          "group_reminders",
+          reminderId
+        );
+        // Members who deleted their copy keep it deleted
+        if (await readDocData(copyRef).catch(() => null)) {
+          await trackedUpdateDoc(copyRef, changes);
+        }
+      }
+    });
+
+    if (entry) {
+      const message = isCreator
+        ? "Group reminder updated for everyone"
+        : "Reminder updated (your copy only)";
+      showNotification(message, "success", undoButton(entry));
+    }
+  } catch (error) {
+    console.error("Error updating group reminder:", error);
+  }
+}
+
 /* ============================================
    REMINDER POP UP FORM
    ============================================ */
@@ -1666,6 +7034,56 @@ const popup = document.getElementById("reminder-popup");
 const titleInput = document.getElementById("reminder-title");
 const form = document.getElementById("add-reminder-form");
 const submitBtn = document.getElementById("reminder-submit");
+const repeatSelect = document.getElementById("reminder-repeat");
+const repeatIntervalRow = document.getElementById(
+  "reminder-repeat-interval-row"
+);
+
+// The interval reads as days, weeks or months depending on the repeat choice
+const REPEAT_INTERVAL_LABELS = {
+  daily: "Every N days:",
+  weekly: "Every N weeks:",
+  monthly: "Every N months:",
+  afterCompletion: "Days after completion:",
+};
+
+repeatSelect.addEventListener("change", () => {
+  const unit = REPEAT_INTERVAL_LABELS[repeatSelect.value];
+
+  repeatIntervalRow.classList.toggle("hidden", !unit);
+  if (unit) {
+    document.getElementById("reminder-repeat-interval-label").textContent =
+      unit;
+  }
+});
+
+/**
+ * Repeat rule chosen in the popup form
+ * @returns {Object|null} - See src/reminderRecurrence.js
+ */
+function readReminderRepeat() {
+  const choice = repeatSelect.value;
+  if (!choice) return null;
+
+  const interval = document.getElementById("reminder-repeat-interval").value;
+  return toRepeatRule(choice, interval);
+}
+
+/**
+ * Repeat rule for a repeat choice
+ * @param {string} choice - "", "daily", "weekly", "monthly" or
+ *                          "afterCompletion"
+ * @param {string|number} interval - Every N days/weeks/months
+ * @returns {Object|null} - See src/reminderRecurrence.js
+ */
+function toRepeatRule(choice, interval) {
+  if (!choice) return null;
+
+  interval = parseInt(interval) || 1;
+  return choice === "afterCompletion"
+    ? { mode: "afterCompletion", interval }
+    : { mode: "schedule", freq: choice, interval };
+}
 
 titleInput.addEventListener("input", () => {
   const hasText = titleInput.value.trim().length > 0;
@@ -1699,20 +7117,24 @@ form.addEventListener("submit", (e) => {
   const dueDateValue = document.getElementById("reminder-due").value;
   const estimateValue = document.getElementById("reminder-estimate").value;
 
-  const dueDate = dueDateValue ? new Date(dueDateValue) : null;
+  const dueDate = dueDateValue || null; // "YYYY-MM-DD" in the display zone
   const estimate = estimateValue ? parseInt(estimateValue) : null;
 
-  // For now, category is just a placeholder string
-  const category = "General";
+  const priority = parseInt(document.getElementById("reminder-priority").value);
+
+  const category = document.getElementById("reminder-category").value;
 
   addReminder(auth.currentUser.uid, {
     title,
     dueDate,
     estimate,
     category,
+    priority,
+    repeat: readReminderRepeat(),
   });
 
   form.reset();
+  repeatIntervalRow.classList.add("hidden");
   popup.classList.add("hidden");
   searchBar.classList.remove("hidden");
 });
@@ -1727,26 +7149,15 @@ function renderGroupReminders(reminders) {
   const listEl = document.getElementById("group-reminder-list");
   listEl.innerHTML = "";
 
-  const now = new Date();
+  const today = todayKey();
 
-  // Sort by due_date
-  reminders.sort((a, b) => {
-    const dateA = a.due_date
-      ? a.due_date.toDate
-        ? a.due_date.toDate()
-        : new Date(a.due_date)
-      : null;
-    const dateB = b.due_date
-      ? b.due_date.toDate
-        ? b.due_date.toDate()
-        : new Date(b.due_date)
-      : null;
+  renderReminderFilterChips("group", reminders);
+  reminders = reminders.filter((reminder) =>
+    matchesReminderFilter(reminder, reminderFilter.group)
+  );
 
-    if (!dateA && !dateB) return 0;
-    if (!dateA) return 1;
-    if (!dateB) return -1;
-    return dateA - dateB;
-  });
+  // Sort by the chosen key
+  reminders.sort(compareReminders(reminderSort.group));
 
   // Split sections
   const pastReminders = [],
@@ -1761,7 +7172,7 @@ function renderGroupReminders(reminders) {
       const due = reminder.due_date.toDate
         ? reminder.due_date.toDate()
         : new Date(reminder.due_date);
-      if (due < now.setHours(0, 0, 0, 0)) pastReminders.push(reminder);
+      if (dateKeyInZone(due) < today) pastReminders.push(reminder);
       else ongoingReminders.push(reminder);
     } else {
       noAlertReminders.push(reminder);
@@ -1783,22 +7194,22 @@ function renderGroupReminders(reminders) {
     return fB - fA;
   });
 
-  function renderSection(title, arr, isPast = false) {
+  function renderSection(title, arr, isPast = false, sortBy = null) {
     if (!arr.length) return;
     const divider = document.createElement("div");
     divider.className = "reminder-section-divider";
     divider.textContent = title;
     listEl.appendChild(divider);
 
-    arr.forEach((reminder) => {
-      const card = createGroupReminderCard(reminder, isPast);
-      listEl.appendChild(card);
-    });
+    appendReminderCards(listEl, arr, sortBy, (reminder) =>
+      createGroupReminderCard(reminder, isPast)
+    );
   }
 
-  renderSection("Past", pastReminders, true);
-  renderSection("Ongoing", ongoingReminders);
-  renderSection("No alert", noAlertReminders);
+  const sortBy = reminderSort.group;
+  renderSection("Past", pastReminders, true, sortBy);
+  renderSection("Ongoing", ongoingReminders, false, sortBy);
+  renderSection("No alert", noAlertReminders, false, sortBy);
   renderSection("Completed", completedReminders);
 }
 
@@ -1806,9 +7217,17 @@ function renderGroupReminders(reminders) {
    GROUP REMINDER CARD
    ============================================ */
 function createGroupReminderCard(reminder, isPast = false) {
+  // A reminder being edited keeps its edit view across list updates
+  const editor = getOpenReminderEditor("group", reminder.id);
+  if (editor) return editor;
+
   const card = document.createElement("div");
   card.className = "reminder-card";
+  card.dataset.reminderId = reminder.id;
   if (reminder.is_completed) card.classList.add("completed");
+  card.addEventListener("click", () =>
+    openReminderEditor(card, reminder, "group")
+  );
 
   // Checkbox
   const checkbox = document.createElement("div");
@@ -1834,6 +7253,10 @@ function createGroupReminderCard(reminder, isPast = false) {
   const title = document.createElement("div");
   title.className = "reminder-title";
   title.textContent = reminder.title;
+  const priorityBadge = createPriorityBadge(reminder);
+  if (priorityBadge) title.appendChild(priorityBadge);
+  const categoryTag = createReminderCategoryTag(reminder);
+  if (categoryTag) title.appendChild(categoryTag);
 
   const due = document.createElement("div");
   due.className = "reminder-due";
@@ -1845,7 +7268,7 @@ function createGroupReminderCard(reminder, isPast = false) {
     const date = reminder.due_date.toDate
       ? reminder.due_date.toDate()
       : new Date(reminder.due_date);
-    due.textContent = date.toLocaleDateString("en-US", {
+    due.textContent = formatInZone(date, {
       weekday: "short",
       month: "short",
       day: "numeric",
@@ -1876,15 +7299,16 @@ function createGroupReminderCard(reminder, isPast = false) {
 
     finished.textContent =
       "Completed: " +
-      finishedAt.toLocaleDateString("en-US", {
+      formatInZone(finishedAt, {
         weekday: "short",
         month: "short",
         day: "numeric",
       }) +
       ", " +
-      finishedAt.toLocaleTimeString("en-US", {
+      formatInZone(finishedAt, {
         hour: "2-digit",
         minute: "2-digit",
+        hour12: calendarSettings.timeFormat === "12h",
       });
   }
 
@@ -1913,11 +7337,18 @@ function listenUserGroupReminders(userId, callback) {
 
 async function toggleGroupReminderCompleted(userId, reminderId, currentState) {
   const reminderRef = doc(db, "users", userId, "group_reminders", reminderId);
-  await updateDoc(reminderRef, {
-    is_completed: !currentState,
-    finished_at: !currentState ? new Date() : null,
-    updated_at: new Date(),
-  });
+  const label = currentState ? "Reopen reminder" : "Complete reminder";
+  const entry = await runWithHistory(label, () =>
+    trackedUpdateDoc(reminderRef, {
+      is_completed: !currentState,
+      finished_at: !currentState ? new Date() : null,
+      updated_at: new Date(),
+    })
+  );
+  if (entry) {
+    const message = currentState ? "Reminder reopened" : "Reminder completed";
+    showNotification(message, "success", undoButton(entry));
+  }
 }
 
 /* ============================================
@@ -1926,7 +7357,7 @@ async function toggleGroupReminderCompleted(userId, reminderId, currentState) {
 async function addGroupReminder(
   userId,
   groupId,
-  { title, dueDate = null, estimate = null, priority = 3 }
+  { title, dueDate = null, estimate = null, category = "", priority = 3 }
 ) {
   if (!title) return console.error("Title is required");
 
@@ -1942,41 +7373,52 @@ async function addGroupReminder(
 
     const groupData = groupSnap.data();
     const members = groupData.members || [];
-    const due = dueDate ? endOfDayLocalFromDate(dueDate) : null;
-    // 2️⃣ Add reminder to canonical group_reminders
-    const groupReminderRef = await addDoc(
-      collection(db, "groups", groupId, "group_reminders"),
-      {
-        title,
-        due_date: due,
-        estimate_minutes: estimate || null,
-        priority,
-        created_at: new Date(),
-        updated_at: new Date(),
-        created_by: userId,
-      }
-    );
-
-    const reminderId = groupReminderRef.id;
+    const due = dueDate ? endOfDay(dueDate) : null;
+
+    const entry = await runWithHistory("Add group reminder", async () => {
+      // 2️⃣ Add reminder to canonical group_reminders
+      const groupReminderRef = await trackedAddDoc(
+        collection(db, "groups", groupId, "group_reminders"),
+        {
+          title,
+          due_date: due,
+          estimate_minutes: estimate || null,
+          category,
+          priority,
+          created_at: new Date(),
+          updated_at: new Date(),
+          created_by: userId,
+        }
+      );
 
-    // 3️⃣ Fan-out to each user
-    for (const memberId of members) {
-      await setDoc(doc(db, "users", memberId, "group_reminders", reminderId), {
-        title,
-        due_date: dueDate || null,
-        estimate_minutes: estimate || null,
-        priority,
-        created_at: new Date(),
-        updated_at: new Date(),
-        group_id: groupId,
-        reminder_id: reminderId,
-        is_completed: false,
-        finished_at: null,
-        eventLink: null,
-      });
-    }
+      const reminderId = groupReminderRef.id;
+
+      // 3️⃣ Fan-out to each user
+      for (const memberId of members) {
+        await trackedCreateDoc(
+          doc(db, "users", memberId, "group_reminders", reminderId),
+          {
+            title,
+            due_date: due,
+            estimate_minutes: estimate || null,
+            category,
+            priority,
+            created_at: new Date(),
+            updated_at: new Date(),
+            group_id: groupId,
+            reminder_id: reminderId,
+            is_completed: false,
+            finished_at: null,
+            eventLink: null,
+          }
+        );
+      }
+    });
 
     console.log("Group reminder added successfully!");
+    if (entry) {
+      showNotification("Group reminder added", "success", undoButton(entry));
+    }
   } catch (error) {
     console.error("Error adding group reminder:", error);
   }
@@ -2028,11 +7470,13 @@ groupForm.addEventListener("submit", async (e) => {
     "group-reminder-estimate"
   ).value;
 
-  const dueDate = dueDateValue ? new Date(dueDateValue) : null;
+  const dueDate = dueDateValue || null; // "YYYY-MM-DD" in the display zone
   const estimate = estimateValue ? parseInt(estimateValue) : null;
+  const priority = parseInt(
+    document.getElementById("group-reminder-priority").value
+  );
 
-  // placeholder category
-  const category = "General";
+  const category = document.getElementById("group-reminder-category").value;
 
   // Get user + group info
   const user = auth.currentUser;
@@ -2050,6 +7494,7 @@ groupForm.addEventListener("submit", async (e) => {
       dueDate,
       estimate,
       category,
+      priority,
     });
 
     console.log("Group reminder added!");
@@ -2066,8 +7511,18 @@ groupForm.addEventListener("submit", async (e) => {
 onAuthStateChanged(auth, (user) => {
   if (user) {
     console.log("Logged in user:", user.uid);
-    listenUserReminders(user.uid, renderReminders);
-    listenUserGroupReminders(user.uid, renderGroupReminders);
+    listenUserReminders(user.uid, (reminders) => {
+      personalReminders = reminders;
+      renderReminders(reminders);
+      if (currentView === "month") renderMonthView();
+      scheduleAlerts();
+    });
+    listenUserGroupReminders(user.uid, (reminders) => {
+      groupReminders = reminders;
+      renderGroupReminders(reminders);
+      if (currentView === "month") renderMonthView();
+      scheduleAlerts();
+    });
   } else {
     console.log("No user logged in yet");
   }
@@ -2086,7 +7541,12 @@ document
       return;
     }
 
-    await autoSchedule(user.uid);
+    const entry = await runWithHistory("Auto-schedule", () =>
+      autoSchedule(user.uid)
+    );
+    if (entry) {
+      showNotification("Reminders scheduled", "success", undoButton(entry));
+    }
   });
 
 // async function getUncompletedReminders(userId) {
@@ -2114,23 +7574,6 @@ document
 //   return reminders;
 // }
 
-async function getExistingTasks(userId) {
-  const tasksRef = collection(db, "tasks");
-  const q = query(tasksRef, where("userId", "==", userId));
-  const snap = await getDocs(q);
-
-  let tasks = [];
-
-  snap.forEach((doc) => {
-    tasks.push({
-      id: doc.id,
-      ...doc.data(),
-    });
-  });
-
-  return tasks;
-}
-
 // function getDaySlots(dateStr) {
 //   const slots = [];
 //   let start = dayjs(dateStr + " 18:00");
@@ -2167,35 +7610,41 @@ async function autoSchedule(userId) {
 
   console.log("Start auto-schedule...");
 
-  // 1️⃣ Load reminders and tasks
+  // 1️⃣ Load reminders, then the tasks of the days they can be scheduled on
   const reminders = await getUnscheduledReminders(userId); // reminders with due date and estimate
-  const tasks = await getExistingTasks(userId); // all tasks
+
+  const today = todayKey();
+  const dueKeys = reminders
+    .map((r) => r.dueDate)
+    .filter(Boolean)
+    .sort();
+  const rangeStart = dueKeys.length && dueKeys[0] < today ? dueKeys[0] : today;
+  const rangeEnd = dueKeys.length ? dueKeys[dueKeys.length - 1] : today;
+  const tasks = await fetchTasksInRange(userId, rangeStart, rangeEnd);
 
   console.log("Loaded reminders:", reminders.length);
   console.log("Loaded tasks:", tasks.length);
 
-  // 2️⃣ Build busy slots map
-  const busy = buildBusySlots(tasks); // { date: [{start, end}, ...] }
+  // 2️⃣ Build busy slots map for those days
+  const busy = buildBusySlots(tasks, rangeStart, rangeEnd); // { date: [{start, end}, ...] }
 
-  // 3️⃣ Sort reminders: overdue first, then nearest due date
-  const now = new Date();
-  reminders.sort((a, b) => {
-    const da = new Date(a.dueDate);
-    const db = new Date(b.dueDate);
-    return da - db;
-  });
+  // 3️⃣ Sort reminders: overdue first, then nearest due date; on the same
+  // due date higher priority gets the earlier slots
+  reminders.sort(
+    (a, b) =>
+      (a.dueDate || "").localeCompare(b.dueDate || "") ||
+      a.priority - b.priority
+  );
 
   for (const r of reminders) {
     const duration = r.estimate;
     if (!r.dueDate || !duration) continue;
 
-    const dueDateObj = new Date(r.dueDate);
-    const today = new Date();
-    let iterDate = new Date(Math.min(today.getTime(), dueDateObj.getTime())); // start today or overdue
+    // Start today, or on the due day if it is already overdue
+    let dateStr = r.dueDate < today ? r.dueDate : today;
 
     let scheduled = false;
-    while (iterDate <= dueDateObj && !scheduled) {
-      const dateStr = iterDate.toISOString().slice(0, 10);
+    while (dateStr <= r.dueDate && !scheduled) {
 
       const slot = findSlotForEstimate(busy, dateStr, duration);
 
@@ -2206,7 +7655,6 @@ async function autoSchedule(userId) {
             date: dateStr,
             startTime: slot.start,
             endTime: slot.end,
-            category: "work",
           });
           taskId = r.eventLink;
           console.log("Updated task:", r.title);
@@ -2217,7 +7665,7 @@ async function autoSchedule(userId) {
             date: dateStr,
             startTime: slot.start,
             endTime: slot.end,
-            category: "work",
+            category: r.category || undefined,
           });
           await updateReminderLink(userId, r, taskId);
           console.log("Created task:", r.title);
@@ -2229,7 +7677,7 @@ async function autoSchedule(userId) {
         scheduled = true;
       }
 
-      iterDate.setDate(iterDate.getDate() + 1);
+      dateStr = addDays(dateStr, 1);
     }
 
     if (!scheduled) {
@@ -2240,26 +7688,38 @@ async function autoSchedule(userId) {
   console.log("Auto schedule complete");
 }
 
-async function createTask({ userId, name, date, startTime, endTime }) {
+async function createTask({
+  userId,
+  name,
+  date,
+  startTime,
+  endTime,
+  category = "work", // default when the reminder has no category
+}) {
+  // A slot ending at "24:00" ends at midnight of the next day
   const taskData = {
     userId,
     name,
-    category: "work", // default
-    date,
-    startTime,
-    time: endTime,
+    category,
+    ...rangeToFields(
+      toAbsoluteMinutes(date, startTime),
+      toAbsoluteMinutes(date, endTime)
+    ),
+    timeZone: getTimeZone(),
     createdAt: new Date(),
   };
 
-  const ref = await addDoc(collection(db, "tasks"), taskData);
+  const ref = await trackedAddDoc(collection(db, "tasks"), taskData);
   return ref.id;
 }
 
 async function updateTask(taskId, { date, startTime, endTime }) {
-  await updateDoc(doc(db, "tasks", taskId), {
-    date,
-    startTime,
-    time: endTime,
+  await trackedUpdateDoc(doc(db, "tasks", taskId), {
+    ...rangeToFields(
+      toAbsoluteMinutes(date, startTime),
+      toAbsoluteMinutes(date, endTime)
+    ),
+    timeZone: getTimeZone(),
   });
 }
 
@@ -2270,16 +7730,25 @@ async function updateReminderLink(userId, reminder, taskId) {
       ? doc(db, "users", userId, "group_reminders", id)
       : doc(db, "users", userId, "reminders", id);
 
-  await updateDoc(path, { eventLink: taskId, updated_at: new Date() });
+  await trackedUpdateDoc(path, { eventLink: taskId, updated_at: new Date() });
 }
 
-// Build busy slots from existing tasks
-function buildBusySlots(tasks) {
+// Build busy slots from existing tasks: recurring tasks are expanded for the
+// range and overnight/multi-day tasks add one slot per day they touch
+function buildBusySlots(tasks, rangeStart, rangeEnd) {
   const slots = {};
-  for (const task of tasks) {
-    const { date, startTime, time } = task;
-    if (!slots[date]) slots[date] = [];
-    slots[date].push({ start: startTime, end: time });
+  for (const task of expandTasks(rangeStart, rangeEnd, tasks)) {
+    if (!task.date || !task.time) continue;
+
+    for (const date of getTaskDates(task)) {
+      const segment = getDaySegment(task, date);
+      if (!segment) continue;
+      if (!slots[date]) slots[date] = [];
+      slots[date].push({
+        start: minutesToTime(segment.start),
+        end: minutesToTime(segment.end),
+      });
+    }
   }
   return slots;
 }
@@ -2290,33 +7759,20 @@ function findSlotForEstimate(busy, date, duration) {
 
   if (!busy[date]) busy[date] = [];
 
-  // Convert existing slots to minutes and sort
+  // Convert existing slots to minutes
   const slots = busy[date].map((s) => ({
     start: timeToMinutes(s.start),
     end: timeToMinutes(s.end),
   }));
-  slots.sort((a, b) => a.start - b.start);
 
-  // Add a dummy slot at the end of day
-  slots.push({ start: endOfDay, end: endOfDay });
+  // Same free-time search as conflict resolution, within the evening window
+  const start = findFreeSlot(slots, duration, startOfDay, endOfDay);
+  if (start === null) return null;
 
-  let cursor = startOfDay;
-
-  for (const slot of slots) {
-    // While there is space before this busy slot
-    while (cursor + duration <= slot.start) {
-      // We found a free slot
-      return {
-        start: minutesToTime(cursor),
-        end: minutesToTime(cursor + duration),
-      };
-    }
-    // Move cursor to end of this busy slot
-    cursor = Math.max(cursor, slot.end);
-  }
-
-  // If no slot found today, return null
-  return null;
+  return {
+    start: minutesToTime(start),
+    end: minutesToTime(start + duration),
+  };
 }
 
 // Helper: convert "HH:MM" to minutes
@@ -2358,6 +7814,8 @@ async function getUnscheduledReminders(userId) {
         title: data.title,
         dueDate: normalizeDate(data.due_date),
         estimate: data.estimate_minutes,
+        priority: getPriority(data),
+        category: getReminderCategory(data),
         eventLink: data.eventLink || null,
         type: "personal",
       });
@@ -2374,6 +7832,8 @@ async function getUnscheduledReminders(userId) {
         title: data.title,
         dueDate: normalizeDate(data.due_date),
         estimate: data.estimate_minutes,
+        priority: getPriority(data),
+        category: getReminderCategory(data),
         eventLink: data.eventLink || null,
         type: "group",
       });
@@ -2383,13 +7843,13 @@ async function getUnscheduledReminders(userId) {
   return reminders;
 }
 
+// Due day of a reminder in the display time zone
 function normalizeDate(d) {
   if (!d) return null;
 
   // Firestore Timestamp
   if (d.toDate) {
-    const date = d.toDate();
-    return date.toISOString().split("T")[0]; // "YYYY-MM-DD"
+    return dateKeyInZone(d.toDate()); // "YYYY-MM-DD"
   }
 
   // string already
@@ -5,6 +5,11 @@ import { auth, db, storage } from "./src/firebaseAPIConfig.js";
 import { onAuthStateChanged, signOut } from "firebase/auth";
 import { doc, getDoc, setDoc, updateDoc } from "firebase/firestore";
 import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+import {
+  getBrowserTimeZone,
+  getTimeZoneOptions,
+  isValidTimeZone,
+} from "./src/dateTime.js";
 
 // Storage artık import ediliyor, yeniden başlatmaya gerek yok
 
@@ -45,6 +50,9 @@ async function loadUserProfile(user) {
           });
       }
 
+      // Display time zone
+      renderTimeZoneOptions(userData.timeZone);
+
       // Display profile picture
       if (userData.photoURL) {
         profileImageUrl = userData.photoURL;
@@ -68,6 +76,7 @@ async function loadUserProfile(user) {
 
       document.getElementById("userName").textContent =
         user.displayName || "User";
+      renderTimeZoneOptions(null);
       document.getElementById("memberSince").textContent =
         new Date().toLocaleDateString("en-US", {
           year: "numeric",
@@ -88,6 +97,63 @@ async function loadUserProfile(user) {
   }
 }
 
+// ============================================
+// Time Zone
+// ============================================
+
+/**
+ * Fill the time zone picker and select the saved zone
+ * @param {string|null} savedZone - users/{uid}.timeZone, if set
+ */
+function renderTimeZoneOptions(savedZone) {
+  const select = document.getElementById("timeZoneSelect");
+  const browserZone = getBrowserTimeZone();
+  select.innerHTML = "";
+
+  // First option follows the device, wherever it is
+  const automatic = document.createElement("option");
+  automatic.value = "";
+  automatic.textContent = `Automatic (${browserZone})`;
+  select.appendChild(automatic);
+
+  getTimeZoneOptions().forEach((zone) => {
+    const option = document.createElement("option");
+    option.value = zone;
+    option.textContent = zone.replace(/_/g, " ");
+    select.appendChild(option);
+  });
+
+  select.value = isValidTimeZone(savedZone) ? savedZone : "";
+}
+
+/**
+ * Save the chosen time zone to the user document
+ */
+async function saveTimeZone() {
+  if (!currentUser) {
+    alert("No user logged in");
+    return;
+  }
+
+  try {
+    const timeZone = document.getElementById("timeZoneSelect").value || null;
+    // merge: also works before the user document exists
+    await setDoc(
+      doc(db, "users", currentUser.uid),
+      { timeZone },
+      { merge: true }
+    );
+    alert(
+      timeZone
+        ? `Time zone saved: ${timeZone}`
+        : "Time zone saved: follows this device"
+    );
+  } catch (error) {
+    console.error("Error saving time zone:", error);
+    alert("Failed to save time zone: " + error.message);
+  }
+}
+
 // ============================================
 // Upload Profile Picture
 // ============================================
@@ -202,10 +268,8 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   });
 
-  // Save button (currently just shows confirmation)
-  document.getElementById("saveBtn").addEventListener("click", () => {
-    alert("Profile saved successfully!");
-  });
+  // Save button
+  document.getElementById("saveBtn").addEventListener("click", saveTimeZone);
 
   // Logout button
   document.getElementById("logoutBtn").addEventListener("click", handleLogout);
@@ -0,0 +1,43 @@
+// public/notification-sw.js
+// Service worker for due-time notifications. The planner page works out
+// when an alert is due and shows it through this worker's registration, so
+// the notification stays after the tab is closed. Clicking it brings the
+// planner back and points it at the reminder or task.
+
+const PLANNER_PAGE = "MainPage.html";
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(openPlanner(event.notification.data || {}));
+});
+
+/**
+ * Focus an open planner tab and tell it what to show, or open a new one
+ * @param {Object} data - Alert data: { kind, id, date, ... }
+ */
+async function openPlanner(data) {
+  const plannerUrl = new URL(PLANNER_PAGE, self.registration.scope).href;
+  const windows = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+
+  const planner = windows.find((client) => client.url.startsWith(plannerUrl));
+  if (planner) {
+    await planner.focus();
+    planner.postMessage({ type: "alert-click", data });
+    return;
+  }
+
+  // A fresh page opens on the alert's day (see src/urlState.js)
+  const url = data.date ? `${plannerUrl}?date=${data.date}` : plannerUrl;
+  await self.clients.openWindow(url);
+}
@@ -0,0 +1,81 @@
+// src/alerts.js
+// Due-time alerts for reminders and tasks. The user's lead times live on the
+// user document:
+//   notificationSettings: { enabled, reminderLeadMinutes, taskLeadMinutes }
+// Something that can be alerted about is described as
+//   { key, dueAt, title, body, data }
+// dueAt is a ms timestamp (a reminder's due time, a task's start). The key
+// names the item and its due time, so a moved task is alerted about again
+// while an unchanged one is not.
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  reminderLeadMinutes: 15,
+  taskLeadMinutes: 10,
+};
+
+// Choices offered in the menu, in minutes before the due time
+export const LEAD_TIME_OPTIONS = [0, 5, 10, 15, 30, 60, 120, 1440];
+
+function toLeadMinutes(value, fallback) {
+  const minutes = parseInt(value);
+  return isNaN(minutes) || minutes < 0 ? fallback : minutes;
+}
+
+/**
+ * Fill in stored notification settings
+ * @param {Object|undefined} stored - users/{uid}.notificationSettings
+ * @returns {Object} - Complete settings
+ */
+export function normalizeNotificationSettings(stored) {
+  const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...(stored || {}) };
+  return {
+    enabled: Boolean(settings.enabled),
+    reminderLeadMinutes: toLeadMinutes(
+      settings.reminderLeadMinutes,
+      DEFAULT_NOTIFICATION_SETTINGS.reminderLeadMinutes
+    ),
+    taskLeadMinutes: toLeadMinutes(
+      settings.taskLeadMinutes,
+      DEFAULT_NOTIFICATION_SETTINGS.taskLeadMinutes
+    ),
+  };
+}
+
+/**
+ * Describe a lead time
+ * @param {number} minutes - Minutes before the due time
+ * @returns {string} - e.g. "15 min before", "1 day before"
+ */
+export function formatLeadTime(minutes) {
+  if (minutes === 0) return "At the time";
+  if (minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return `${days} day${days === 1 ? "" : "s"} before`;
+  }
+  if (minutes % 60 === 0) return `${minutes / 60} h before`;
+  return `${minutes} min before`;
+}
+
+/**
+ * Alerts to show within the next stretch of time. An alert whose moment
+ * has passed while its item is still ahead (e.g. the page was closed) is
+ * shown right away.
+ * @param {Object[]} items - { key, dueAt, title, body, data }
+ * @param {number} leadMinutes - Minutes before dueAt
+ * @param {number} now - Current ms timestamp
+ * @param {number} horizon - How far ahead to look, in ms
+ * @returns {Object[]} - Items with `at` (ms) and a key including the lead
+ *                       time, soonest first
+ */
+export function planAlerts(items, leadMinutes, now, horizon) {
+  return items
+    .filter((item) => item.dueAt > now)
+    .map((item) => ({
+      ...item,
+      key: `${item.key}:${leadMinutes}`,
+      at: Math.max(item.dueAt - leadMinutes * 60 * 1000, now),
+    }))
+    .filter((alert) => alert.at <= now + horizon)
+    .sort((a, b) => a.at - b.at);
+}
@@ -0,0 +1,92 @@
+// src/calendarSettings.js
+// How the calendar is laid out, per user. Stored on the user document:
+//   calendarSettings: { startHour, endHour, weekStart, timeFormat, hideWeekends }
+//   startHour     top row of the time grid (0-23); earlier hours wrap to
+//                 the bottom
+//   endHour       end of the visible hours, counted from the same midnight
+//                 as startHour and at most 24 hours after it (30 = 06:00 the
+//                 next day). Rows from endHour until the next startHour are
+//                 collapsed.
+//   weekStart     first day of the week, 0 (Sunday) to 6 (Saturday)
+//   timeFormat    "24h" or "12h"
+//   hideWeekends  leave Saturday and Sunday out of the week and month views
+// The defaults are the original grid: 24 full rows from 06:00, Monday first.
+
+export const DEFAULT_CALENDAR_SETTINGS = {
+  startHour: 6,
+  endHour: 30,
+  weekStart: 1,
+  timeFormat: "24h",
+  hideWeekends: false,
+};
+
+function toInt(value, min, max, fallback) {
+  const number = parseInt(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * Fill in and clamp stored settings
+ * @param {Object|undefined} stored - users/{uid}.calendarSettings
+ * @returns {Object} - Complete settings
+ */
+export function normalizeCalendarSettings(stored) {
+  const settings = { ...DEFAULT_CALENDAR_SETTINGS, ...(stored || {}) };
+  const startHour = toInt(settings.startHour, 0, 23, 6);
+
+  return {
+    startHour,
+    endHour: toInt(settings.endHour, startHour + 1, startHour + 24, 30),
+    weekStart: toInt(settings.weekStart, 0, 6, 1),
+    timeFormat: settings.timeFormat === "12h" ? "12h" : "24h",
+    hideWeekends: Boolean(settings.hideWeekends),
+  };
+}
+
+/**
+ * Rows of the time grid, top to bottom
+ * @param {Object} settings - Calendar settings
+ * @returns {Array<{hour: number, offHours: boolean}>}
+ */
+export function getGridHours({ startHour, endHour }) {
+  return [...Array(24).keys()].map((i) => ({
+    hour: (startHour + i) % 24,
+    offHours: startHour + i >= endHour,
+  }));
+}
+
+/**
+ * Minutes of the day where the grid wraps to the top or the collapsed
+ * off-hours begin. Rows between two breaks are contiguous and of one height.
+ * @param {Object} settings - Calendar settings
+ * @returns {number[]} - Ascending
+ */
+export function getGridBreaks({ startHour, endHour }) {
+  const breaks = [startHour * 60];
+  if (endHour - startHour < 24) breaks.push((endHour % 24) * 60);
+  return breaks.sort((a, b) => a - b);
+}
+
+/**
+ * Format an HH:mm time for display
+ * @param {string} time - HH:mm
+ * @param {string} timeFormat - "24h" or "12h"
+ * @returns {string} - e.g. "14:30" or "2:30 PM"
+ */
+export function formatClock(time, timeFormat) {
+  if (timeFormat !== "12h") return time;
+
+  const [hours, minutes] = time.split(":").map(Number);
+  const suffix = hours < 12 ? "AM" : "PM";
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")} ${suffix}`;
+}
+
+/**
+ * Check whether a date falls on Saturday or Sunday
+ * @param {Date} date - Date
+ * @returns {boolean}
+ */
+export function isWeekend(date) {
+  return date.getDay() === 0 || date.getDay() === 6;
+}
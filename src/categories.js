@@ -0,0 +1,113 @@
+// src/categories.js
+// User-defined task categories. The list lives on the user document:
+//   categories: [{ id, name, color, order, archived }]
+//   categoryFilters: { [id]: boolean }   // filter menu state, missing = shown
+// Tasks keep the category id, so renaming or recoloring never touches them.
+// Users who never edited their categories get the original four.
+
+export const DEFAULT_CATEGORIES = [
+  { id: "study", name: "Study", color: "#667eea", order: 0, archived: false },
+  { id: "work", name: "Work", color: "#f5576c", order: 1, archived: false },
+  { id: "exercise", name: "Exercise", color: "#4facfe", order: 2, archived: false },
+  { id: "group", name: "Group Task", color: "#43e97b", order: 3, archived: false },
+];
+
+const FALLBACK_COLOR = "#9e9e9e";
+
+/**
+ * Clean up a stored category list: sorted by order, orders renumbered
+ * @param {Object[]|undefined} list - users/{uid}.categories
+ * @returns {Object[]} - Category list (defaults when nothing is stored)
+ */
+export function normalizeCategories(list) {
+  const source = Array.isArray(list) && list.length ? list : DEFAULT_CATEGORIES;
+
+  return [...source]
+    .filter((category) => category && category.id)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((category, index) => ({
+      id: category.id,
+      name: category.name || category.id,
+      color: isHexColor(category.color) ? category.color : FALLBACK_COLOR,
+      order: index,
+      archived: Boolean(category.archived),
+    }));
+}
+
+/**
+ * Categories that can be picked for new tasks
+ * @param {Object[]} list - Category list
+ * @returns {Object[]}
+ */
+export function getActiveCategories(list) {
+  return list.filter((category) => !category.archived);
+}
+
+/**
+ * Look up a category by id. Unknown ids (e.g. from an old import) get a
+ * grey stand-in named after the id.
+ * @param {Object[]} list - Category list
+ * @param {string} id - Category id
+ * @returns {Object}
+ */
+export function findCategory(list, id) {
+  return (
+    list.find((category) => category.id === id) || {
+      id,
+      name: id,
+      color: FALLBACK_COLOR,
+      order: list.length,
+      archived: false,
+    }
+  );
+}
+
+/**
+ * Make an id for a new category that no existing category uses
+ * @param {string} name - Category name
+ * @param {Object[]} list - Existing categories
+ * @returns {string}
+ */
+export function createCategoryId(name, list) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "category";
+
+  let id = base;
+  for (let suffix = 2; list.some((category) => category.id === id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+function isHexColor(value) {
+  return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Darken (negative amount) or lighten (positive amount) a hex color
+ * @param {string} hex - "#rrggbb"
+ * @param {number} amount - -1 to 1
+ * @returns {string} - "#rrggbb"
+ */
+function shadeColor(hex, amount) {
+  const target = amount < 0 ? 0 : 255;
+  const channels = [1, 3, 5].map((index) => {
+    const value = parseInt(hex.slice(index, index + 2), 16);
+    const shaded = Math.round(value + (target - value) * Math.abs(amount));
+    return shaded.toString(16).padStart(2, "0");
+  });
+  return `#${channels.join("")}`;
+}
+
+/**
+ * Gradient stops used to paint a category's tasks
+ * @param {Object} category - Category
+ * @returns {{start: string, end: string}}
+ */
+export function getCategoryColors(category) {
+  const color = isHexColor(category.color) ? category.color : FALLBACK_COLOR;
+  return { start: color, end: shadeColor(color, -0.3) };
+}
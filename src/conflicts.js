@@ -0,0 +1,49 @@
+// src/conflicts.js
+// Overlap checks for time ranges, shared by the task form, drag and drop and
+// the auto-scheduler. A range is { start, end } in minutes on a common scale
+// (the calendar uses minutes since 1970-01-01, the auto-scheduler minutes of
+// one day). The end is exclusive, so back-to-back tasks do not conflict.
+
+/**
+ * Check whether two ranges share any time
+ * @param {{start: number, end: number}} a - Range
+ * @param {{start: number, end: number}} b - Range
+ * @returns {boolean}
+ */
+export function rangesOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Busy ranges that overlap a range
+ * @param {{start: number, end: number}} range - Range to check
+ * @param {Object[]} busy - Ranges, may carry extra fields (e.g. the task)
+ * @returns {Object[]} - Overlapping entries of busy, earliest first
+ */
+export function findConflicts(range, busy) {
+  return busy
+    .filter((slot) => rangesOverlap(range, slot))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Earliest start from which a range of the given length fits between the
+ * busy ranges
+ * @param {Object[]} busy - Ranges
+ * @param {number} duration - Length of the range to place
+ * @param {number} from - Earliest allowed start
+ * @param {number} until - Latest allowed end
+ * @returns {number|null} - Start, or null if nothing fits
+ */
+export function findFreeSlot(busy, duration, from, until) {
+  const slots = [...busy].sort((a, b) => a.start - b.start);
+  let cursor = from;
+
+  for (const slot of slots) {
+    if (slot.end <= cursor) continue;
+    if (cursor + duration <= slot.start) break;
+    cursor = slot.end;
+  }
+
+  return cursor + duration <= until ? cursor : null;
+}
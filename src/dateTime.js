@@ -0,0 +1,312 @@
+// src/dateTime.js
+// Time zone aware date/time layer shared by the calendar, drag system,
+// reminders and auto-scheduler.
+//
+// Tasks store wall-clock fields (date, startTime, endDate, time) together
+// with the IANA zone they were written in:
+//   timeZone: "America/Vancouver"
+// Tasks without a zone were written before zones existed and are read in the
+// display zone. Everything on screen is shown in the display zone: the user's
+// choice from the profile page (users/{uid}.timeZone), else the browser's.
+// Reminders store instants (due_date Timestamps); their calendar day is read
+// in the display zone.
+
+import { addDays, daysBetween, shiftRecurrence } from "./recurrence.js";
+
+let displayTimeZone = getBrowserTimeZone();
+
+// ============================================
+// Display Zone
+// ============================================
+
+/**
+ * Time zone the browser runs in
+ * @returns {string} - IANA zone name
+ */
+export function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Check whether a string is a time zone the browser knows
+ * @param {string} timeZone - IANA zone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Zone the planner is currently shown in
+ * @returns {string} - IANA zone name
+ */
+export function getTimeZone() {
+  return displayTimeZone;
+}
+
+/**
+ * Change the display zone (unknown or empty values fall back to the browser's)
+ * @param {string} timeZone - IANA zone name
+ * @returns {string} - Zone now in use
+ */
+export function setTimeZone(timeZone) {
+  displayTimeZone = isValidTimeZone(timeZone)
+    ? timeZone
+    : getBrowserTimeZone();
+  return displayTimeZone;
+}
+
+/**
+ * Zones to offer in a picker, always including the browser's
+ * @returns {string[]} - Sorted IANA zone names
+ */
+export function getTimeZoneOptions() {
+  const zones =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : [];
+  return [...new Set([...zones, getBrowserTimeZone(), "UTC"])].sort();
+}
+
+// ============================================
+// Instants and Wall Clocks
+// ============================================
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+export function getZoneOffset(timestamp, timeZone) {
+  const values = getClockValues(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+function getClockValues(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  const values = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    values[type] = parseInt(value);
+  });
+  return values;
+}
+
+/**
+ * Instant for a wall-clock time in a zone
+ * @param {number[]} parts - [year, month, day, hour, minute, second]
+ * @param {string} timeZone - IANA zone name (throws RangeError if unknown)
+ * @returns {Date}
+ */
+export function zonedPartsToDate(parts, timeZone) {
+  const [year, month, day, hour = 0, minute = 0, second = 0] = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getZoneOffset(wallClock, timeZone);
+  let result = wallClock - offset;
+
+  // A second pass lands on the right side of a DST change
+  const corrected = getZoneOffset(result, timeZone);
+  if (corrected !== offset) result = wallClock - corrected;
+  return new Date(result);
+}
+
+/**
+ * Instant for a date key and time in a zone
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} [timeZone] - Defaults to the display zone
+ * @returns {Date}
+ */
+export function toInstant(dateKey, time, timeZone = displayTimeZone) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  return zonedPartsToDate([year, month, day, hour, minute, 0], timeZone);
+}
+
+/**
+ * Wall clock of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - Defaults to the display zone
+ * @returns {{date: string, time: string}} - YYYY-MM-DD and HH:MM
+ */
+export function getZonedParts(date, timeZone = displayTimeZone) {
+  const values = getClockValues(date, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return {
+    date: `${values.year}-${pad(values.month)}-${pad(values.day)}`,
+    time: `${pad(values.hour)}:${pad(values.minute)}`,
+  };
+}
+
+/**
+ * Calendar day of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - Defaults to the display zone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function dateKeyInZone(date, timeZone = displayTimeZone) {
+  return getZonedParts(date, timeZone).date;
+}
+
+/**
+ * Today's date in the display zone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function todayKey() {
+  return dateKeyInZone(new Date());
+}
+
+/**
+ * Last minute of a day in the display zone, used for reminder due dates
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Date}
+ */
+export function endOfDay(dateKey) {
+  return toInstant(dateKey, "23:59");
+}
+
+/**
+ * Format an instant for display in the display zone
+ * @param {Date} date - Instant
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatInZone(date, options) {
+  return date.toLocaleString("en-US", { ...options, timeZone: displayTimeZone });
+}
+
+// ============================================
+// Tasks
+// ============================================
+
+/**
+ * Move a wall-clock time from one zone to another
+ * @returns {{date: string, time: string}}
+ */
+function convertWallClock(dateKey, time, fromZone, toZone) {
+  return getZonedParts(toInstant(dateKey, time, fromZone), toZone);
+}
+
+/**
+ * Express a stored task in the display zone. Recurring series are converted
+ * by their first occurrence, so the rule, exceptions, occurrence statuses and
+ * end date shift by the same number of days as the start.
+ * @param {Object} task - Task document data
+ * @returns {Object} - Task with date/time fields in the display zone
+ *                     (timeZone still names the zone it is stored in)
+ */
+export function toDisplayZone(task) {
+  if (
+    !task.timeZone ||
+    task.timeZone === displayTimeZone ||
+    !isValidTimeZone(task.timeZone) ||
+    !task.date ||
+    !task.time
+  ) {
+    return task;
+  }
+
+  const startTime = task.startTime || task.time;
+  const endDate =
+    task.endDate || (task.time < startTime ? addDays(task.date, 1) : task.date);
+  const start = convertWallClock(
+    task.date,
+    startTime,
+    task.timeZone,
+    displayTimeZone
+  );
+  const end = convertWallClock(endDate, task.time, task.timeZone, displayTimeZone);
+
+  const converted = {
+    ...task,
+    date: start.date,
+    startTime: start.time,
+    endDate: end.date,
+    time: end.time,
+  };
+
+  const dayShift = daysBetween(task.date, start.date);
+  if (dayShift) {
+    if (task.recurrence) {
+      converted.recurrence = {
+        ...shiftRecurrence(task.recurrence, dayShift),
+        until: task.recurrence.until
+          ? addDays(task.recurrence.until, dayShift)
+          : null,
+      };
+    }
+    if (task.exceptions) {
+      converted.exceptions = task.exceptions.map((date) =>
+        addDays(date, dayShift)
+      );
+    }
+    if (task.originalDate) {
+      converted.originalDate = addDays(task.originalDate, dayShift);
+    }
+    if (task.occurrenceStatus) {
+      converted.occurrenceStatus = Object.fromEntries(
+        Object.entries(task.occurrenceStatus).map(([date, status]) => [
+          addDays(date, dayShift),
+          status,
+        ])
+      );
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Fields to write when updating a task. A task stored in another zone is
+ * rewritten in the display zone as a whole, so no field is left in the old
+ * zone next to the new one.
+ * @param {Object} task - Task as held in memory (display zone)
+ * @param {Object} changes - Fields to change
+ * @returns {Object} - Update for updateDoc
+ */
+export function withTimeZone(task, changes) {
+  const update = {};
+
+  if (task && task.timeZone && task.timeZone !== displayTimeZone) {
+    [
+      "date",
+      "startTime",
+      "endDate",
+      "time",
+      "recurrence",
+      "exceptions",
+      "originalDate",
+      "occurrenceStatus",
+    ]
+      .filter((field) => task[field] !== undefined)
+      .forEach((field) => {
+        update[field] = task[field];
+      });
+  }
+
+  return { ...update, ...changes, timeZone: displayTimeZone };
+}
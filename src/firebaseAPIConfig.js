@@ -11,7 +11,11 @@
 // Import Firebase SDK modules (using Firebase v9 modular syntax)
 import { initializeApp } from "firebase/app";
 import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from "firebase/firestore";
 import { getStorage } from "firebase/storage";
 
 // ---------------------------------------------------------
@@ -47,5 +51,16 @@ const app = initializeApp(firebaseConfig);
 // ---------------------------------------------------------
 
 export const auth = getAuth(app);
-export const db = getFirestore(app);
+
+// ---------------------------------------------------------
+// Firestore keeps a copy of the user's data in IndexedDB, so the
+// planner still loads and accepts changes without a connection.
+// Offline changes are queued and sent once it is back. All open
+// tabs share the one cache.
+// ---------------------------------------------------------
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({
+    tabManager: persistentMultipleTabManager(),
+  }),
+});
 export const storage = getStorage(app);
@@ -0,0 +1,86 @@
+// src/history.js
+// Undo/redo stack for calendar and reminder actions.
+//
+// An entry describes one user action by the documents it changed:
+//   { label: "Move task", changes: [{ path, before, after }] }
+// before/after hold the full document data (null when the document did not
+// exist), so undoing writes every "before" back and redoing every "after".
+// Writing the data is left to the caller, which keeps this module free of
+// Firestore.
+
+/**
+ * Create an undo/redo stack
+ * @param {number} [limit=50] - Entries kept for undo
+ * @returns {Object} - History API
+ */
+export function createHistory(limit = 50) {
+  const undoStack = [];
+  const redoStack = [];
+  let busy = false;
+
+  /**
+   * Apply the top entry of one stack and move it to the other. The stacks
+   * only change once the write succeeded.
+   */
+  async function move(from, to, side, apply) {
+    const entry = from[from.length - 1];
+    if (!entry || busy) return null;
+
+    busy = true;
+    try {
+      await apply(entry, side);
+    } finally {
+      busy = false;
+    }
+
+    from.pop();
+    to.push(entry);
+    return entry;
+  }
+
+  return {
+    /**
+     * Add a finished action; a new action clears the redo stack
+     * @param {Object} entry - { label, changes }
+     */
+    push(entry) {
+      if (!entry.changes.length) return;
+      undoStack.push(entry);
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+    },
+
+    /**
+     * Undo the latest action
+     * @param {Function} apply - async (entry, "before") => void
+     * @returns {Promise<Object|null>} - Undone entry, or null if none
+     */
+    undo(apply) {
+      return move(undoStack, redoStack, "before", apply);
+    },
+
+    /**
+     * Redo the latest undone action
+     * @param {Function} apply - async (entry, "after") => void
+     * @returns {Promise<Object|null>} - Redone entry, or null if none
+     */
+    redo(apply) {
+      return move(redoStack, undoStack, "after", apply);
+    },
+
+    /** @returns {Object|null} - Entry the next undo would apply */
+    peekUndo() {
+      return undoStack[undoStack.length - 1] || null;
+    },
+
+    /** @returns {Object|null} - Entry the next redo would apply */
+    peekRedo() {
+      return redoStack[redoStack.length - 1] || null;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+  };
+}
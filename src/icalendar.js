@@ -0,0 +1,715 @@
+// src/icalendar.js
+// iCalendar (.ics, RFC 5545) import and export for calendar tasks.
+//
+// Export writes tasks as VEVENTs in the display time zone (a recurring series
+// keeps its RRULE and EXDATEs), with a VTIMEZONE describing that zone's
+// offsets over the exported years, and, optionally, reminders as VTODOs.
+// Import reads VEVENTs into the task fields used by the planner:
+//   { date, startTime, endDate, time, recurrence, exceptions, allDay }
+// Times given in UTC or with a TZID are converted to the display time zone;
+// floating times are kept as written. Imported text is kept as plain text,
+// without markup.
+
+import { addDays, daysBetween, parseDateKey } from "./recurrence.js";
+import {
+  endOfDay,
+  getTimeZone,
+  getZoneOffset,
+  getZonedParts,
+  toInstant,
+  zonedPartsToDate,
+} from "./dateTime.js";
+
+const PRODUCT_ID = "-//Todo Together//Planner//EN";
+const UID_DOMAIN = "todo-together";
+// Tasks get Firestore's generated document ids
+const TASK_ID_PATTERN = /^[A-Za-z0-9]{20}$/;
+const ICAL_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+// Open-ended series get zone rules this many years past their last date
+const TIMEZONE_YEARS_AHEAD = 10;
+const SUPPORTED_RULE_PARTS = ["FREQ", "INTERVAL", "BYDAY", "UNTIL", "COUNT", "WKST"];
+
+// ============================================
+// Text Helpers
+// ============================================
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+/**
+ * Read a text value from an imported file as plain text: unescaped, without
+ * markup or control characters
+ * @param {string} text - Property value as written in the file
+ * @returns {string}
+ */
+function readPlainText(text) {
+  return unescapeText(text)
+    .replace(/<[^>]*>/g, "")
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, "")
+    .trim();
+}
+
+/**
+ * Fold a content line to 75 octets as the spec requires
+ * @param {string} line - Unfolded line
+ * @returns {string} - Line with CRLF + space continuations
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  let folded = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > 75) {
+      folded += "\r\n ";
+      octets = 1;
+    }
+    folded += char;
+    octets += size;
+  }
+  return folded;
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside double quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse one unfolded content line into its name, parameters and value
+ * @param {string} line - e.g. "DTSTART;TZID=Europe/Paris:20251110T090000"
+ * @returns {Object|null} - { name, params, value }
+ */
+function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = splitOutsideQuotes(line.slice(0, colon), ";");
+  const params = {};
+  paramParts.forEach((part) => {
+    const equals = part.indexOf("=");
+    if (equals === -1) return;
+    params[part.slice(0, equals).toUpperCase()] = part
+      .slice(equals + 1)
+      .replace(/^"|"$/g, "");
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// ============================================
+// Date Helpers
+// ============================================
+
+function compactDate(key) {
+  return key.replace(/-/g, "");
+}
+
+function compactTime(time) {
+  return `${time.replace(":", "")}00`;
+}
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into the display zone
+ * @param {string} value - e.g. "20251110", "20251110T090000Z"
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @param {string[]} warnings - Collects problems worth showing in the preview
+ * @returns {Object|null} - { date: "YYYY-MM-DD", time: "HH:MM", allDay }
+ */
+function parseDateValue(value, params, warnings) {
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly || params.VALUE === "DATE") {
+    if (!dateOnly) return null;
+    const [, year, month, day] = dateOnly;
+    return { date: `${year}-${month}-${day}`, time: "00:00", allDay: true };
+  }
+
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!match) return null;
+
+  const parts = match.slice(1, 7).map(Number);
+  const [year, month, day, hour, minute, second] = parts;
+
+  if (match[7] === "Z") {
+    return {
+      ...getZonedParts(
+        new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+      ),
+      allDay: false,
+    };
+  }
+
+  if (params.TZID) {
+    try {
+      return {
+        ...getZonedParts(zonedPartsToDate(parts, params.TZID)),
+        allDay: false,
+      };
+    } catch {
+      const warning = `Unknown time zone "${params.TZID}", times kept as written`;
+      if (!warnings.includes(warning)) warnings.push(warning);
+    }
+  }
+
+  // Floating time: same wall clock in every time zone
+  return {
+    date: `${match[1]}-${match[2]}-${match[3]}`,
+    time: `${match[4]}:${match[5]}`,
+    allDay: false,
+  };
+}
+
+/**
+ * Parse a DURATION value such as "PT1H30M" or "P1D"
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds
+ */
+function parseDuration(value) {
+  const match = value.match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    (parseInt(weeks || 0) * 7 + parseInt(days || 0)) * 86400 +
+    parseInt(hours || 0) * 3600 +
+    parseInt(minutes || 0) * 60 +
+    parseInt(seconds || 0);
+  return (sign === "-" ? -1 : 1) * total * 1000;
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Build an RRULE value for a recurrence rule
+ * @param {Object} rule - Recurrence rule
+ * @param {Object} task - Series task (for the default weekday and all-day)
+ * @returns {string}
+ */
+function buildRecurrenceRule(rule, task) {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const parts = [];
+
+  if (rule.freq === "daily") {
+    parts.push("FREQ=DAILY", `INTERVAL=${interval}`);
+  } else {
+    const byDay =
+      rule.freq === "weekdays"
+        ? WEEKDAYS
+        : rule.byDay && rule.byDay.length
+        ? rule.byDay
+        : [parseDateKey(task.date).getDay()];
+    parts.push(
+      "FREQ=WEEKLY",
+      `INTERVAL=${rule.freq === "weekdays" ? 1 : interval}`,
+      `BYDAY=${byDay.map((day) => ICAL_DAYS[day]).join(",")}`,
+      "WKST=MO"
+    );
+  }
+
+  if (rule.until) {
+    // UNTIL is a date for all-day series and a UTC time otherwise
+    parts.push(
+      `UNTIL=${
+        task.allDay
+          ? compactDate(rule.until)
+          : formatUtcDateTime(endOfDay(rule.until))
+      }`
+    );
+  } else if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  return parts.join(";");
+}
+
+/**
+ * Content lines for one task
+ * @param {Object} task - Task with firestoreId and complete date/time fields
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]}
+ */
+function taskToEvent(task, stamp) {
+  const zone = `;TZID=${getTimeZone()}`;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${getTaskUid(task)}`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (task.allDay) {
+    lines.push(
+      `DTSTART;VALUE=DATE:${compactDate(task.date)}`,
+      `DTEND;VALUE=DATE:${compactDate(task.endDate)}`
+    );
+  } else {
+    lines.push(
+      `DTSTART${zone}:${compactDate(task.date)}T${compactTime(task.startTime)}`,
+      `DTEND${zone}:${compactDate(task.endDate)}T${compactTime(task.time)}`
+    );
+  }
+
+  lines.push(`SUMMARY:${escapeText(task.name || "")}`);
+  if (task.category) lines.push(`CATEGORIES:${escapeText(task.category)}`);
+
+  if (task.recurrence && task.recurrence.freq) {
+    lines.push(`RRULE:${buildRecurrenceRule(task.recurrence, task)}`);
+
+    if (task.exceptions && task.exceptions.length) {
+      const values = task.exceptions.map((date) =>
+        task.allDay
+          ? compactDate(date)
+          : `${compactDate(date)}T${compactTime(task.startTime)}`
+      );
+      lines.push(
+        `EXDATE${task.allDay ? ";VALUE=DATE" : zone}:${values.join(",")}`
+      );
+    }
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Content lines for one reminder
+ * @param {Object} reminder - { id, title, due: Date, completed, category }
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]}
+ */
+function reminderToTodo(reminder, stamp) {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:${reminder.id}@${UID_DOMAIN}-reminder`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(reminder.title || "")}`,
+    `DUE:${formatUtcDateTime(reminder.due)}`,
+    `STATUS:${reminder.completed ? "COMPLETED" : "NEEDS-ACTION"}`,
+  ];
+  if (reminder.category) {
+    lines.push(`CATEGORIES:${escapeText(reminder.category)}`);
+  }
+  lines.push("END:VTODO");
+  return lines;
+}
+
+/**
+ * Format a UTC offset for TZOFFSETFROM / TZOFFSETTO
+ * @param {number} offset - Milliseconds east of UTC
+ * @returns {string} - e.g. "-0800", "+0530"
+ */
+function formatOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${offset < 0 ? "-" : "+"}${pad(Math.floor(minutes / 60))}${pad(
+    minutes % 60
+  )}`;
+}
+
+/**
+ * Content lines for one STANDARD or DAYLIGHT observance
+ * @param {number} timestamp - Instant the observance starts
+ * @param {number} from - Offset before it
+ * @param {number} to - Offset from then on
+ * @returns {string[]}
+ */
+function observanceLines(timestamp, from, to) {
+  const kind = to > from ? "DAYLIGHT" : "STANDARD";
+  // DTSTART is the wall clock at the change, in the offset before it
+  const start = formatUtcDateTime(new Date(timestamp + from)).slice(0, -1);
+  return [
+    `BEGIN:${kind}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${kind}`,
+  ];
+}
+
+/**
+ * VTIMEZONE for a zone, listing each offset change between two years
+ * @param {string} timeZone - IANA zone name
+ * @param {number} fromYear - First year covered
+ * @param {number} toYear - Last year covered
+ * @returns {string[]}
+ */
+function buildTimeZone(timeZone, fromYear, toYear) {
+  // Offsets change a few times a year at most, so look once a week
+  const week = 7 * 86400000;
+  const first = zonedPartsToDate([fromYear, 1, 1], timeZone).getTime();
+  const last = zonedPartsToDate([toYear + 1, 1, 1], timeZone).getTime();
+  const firstOffset = getZoneOffset(first, timeZone);
+  const lines = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    ...observanceLines(first, firstOffset, firstOffset),
+  ];
+
+  let offset = firstOffset;
+  for (let time = first + week; time < last + week; time += week) {
+    const next = getZoneOffset(time, timeZone);
+    if (next === offset) continue;
+
+    // Narrow the change down to the minute
+    let before = time - week;
+    let after = time;
+    while (after - before > 60000) {
+      const middle = before + Math.floor((after - before) / 120000) * 60000;
+      if (getZoneOffset(middle, timeZone) === offset) before = middle;
+      else after = middle;
+    }
+    lines.push(...observanceLines(after, offset, next));
+    offset = next;
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Years the timed tasks of an export fall in
+ * @param {Object[]} tasks - Exported tasks
+ * @returns {number[]|null} - [first, last], or null if every task is all-day
+ */
+function getTimedYears(tasks) {
+  const timed = tasks.filter((task) => !task.allDay);
+  if (!timed.length) return null;
+
+  const year = (dateKey) => parseInt(dateKey.slice(0, 4));
+  let first = Infinity;
+  let last = -Infinity;
+  timed.forEach((task) => {
+    first = Math.min(first, year(task.date));
+    last = Math.max(last, year(task.endDate || task.date));
+    if (task.recurrence && task.recurrence.freq) {
+      last = task.recurrence.until
+        ? Math.max(last, year(task.recurrence.until))
+        : Math.max(last, year(task.date) + TIMEZONE_YEARS_AHEAD);
+    }
+  });
+  return [first, last];
+}
+
+/**
+ * Build an .ics calendar from tasks and reminders
+ * @param {Object} options
+ * @param {Object[]} options.tasks - Tasks with date, startTime, endDate and time
+ * @param {Object[]} [options.reminders=[]] - Reminders with a due Date
+ * @returns {string} - Calendar text with CRLF line endings
+ */
+export function buildICalendar({ tasks, reminders = [] }) {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `X-WR-TIMEZONE:${getTimeZone()}`,
+  ];
+
+  // Timed events refer to the display zone by TZID, which needs a VTIMEZONE
+  const years = getTimedYears(tasks);
+  if (years) lines.push(...buildTimeZone(getTimeZone(), ...years));
+
+  tasks.forEach((task) => lines.push(...taskToEvent(task, stamp)));
+  reminders.forEach((reminder) =>
+    lines.push(...reminderToTodo(reminder, stamp))
+  );
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ============================================
+// Import
+// ============================================
+
+/**
+ * Map an RRULE onto the planner's recurrence model
+ * @param {string} value - RRULE value
+ * @param {string[]} warnings - Collects unsupported parts
+ * @returns {Object|null} - Recurrence rule, or null if it can't be represented
+ */
+function parseRecurrenceRule(value, warnings) {
+  const parts = {};
+  value.split(";").forEach((part) => {
+    const [key, partValue] = part.split("=");
+    if (key) parts[key.toUpperCase()] = partValue || "";
+  });
+
+  const unsupported = Object.keys(parts).filter(
+    (key) => !SUPPORTED_RULE_PARTS.includes(key)
+  );
+  const interval = Math.max(1, parseInt(parts.INTERVAL) || 1);
+  const byDayCodes = parts.BYDAY ? parts.BYDAY.split(",") : [];
+  const byDay = byDayCodes.map((code) => ICAL_DAYS.indexOf(code));
+  const isWeekdays =
+    byDay.length === WEEKDAYS.length &&
+    WEEKDAYS.every((day) => byDay.includes(day));
+
+  let rule = null;
+  if (!unsupported.length && !byDay.includes(-1)) {
+    if (parts.FREQ === "DAILY" && !byDay.length) {
+      rule = { freq: "daily", interval, byDay: null };
+    } else if (
+      (parts.FREQ === "DAILY" || parts.FREQ === "WEEKLY") &&
+      interval === 1 &&
+      isWeekdays
+    ) {
+      rule = { freq: "weekdays", interval: 1, byDay: null };
+    } else if (parts.FREQ === "WEEKLY") {
+      rule = { freq: "weekly", interval, byDay: byDay.length ? byDay : null };
+    } else if (parts.FREQ === "DAILY" && interval === 1) {
+      rule = { freq: "weekly", interval: 1, byDay };
+    }
+  }
+
+  if (!rule) {
+    warnings.push(
+      `Repeat rule "${value}" is not supported, only the first occurrence is imported`
+    );
+    return null;
+  }
+
+  rule.until = null;
+  rule.count = null;
+  if (parts.UNTIL) {
+    const until = parseDateValue(parts.UNTIL, {}, warnings);
+    if (until) rule.until = until.date;
+  } else if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT) || null;
+  }
+
+  return rule;
+}
+
+/**
+ * Convert the properties of one VEVENT into an importable event
+ * @param {Object[]} props - Parsed content lines of the component
+ * @returns {Object|null} - Event, or null if it has no usable start
+ */
+function eventFromProperties(props) {
+  const first = (name) => props.find((prop) => prop.name === name);
+  const warnings = [];
+
+  const status = first("STATUS");
+  if (status && status.value.toUpperCase() === "CANCELLED") return null;
+
+  const startProp = first("DTSTART");
+  const start = startProp
+    ? parseDateValue(startProp.value, startProp.params, warnings)
+    : null;
+  if (!start) return null;
+
+  const date = start.date;
+  const addToStart = (milliseconds) =>
+    start.allDay
+      ? {
+          date: addDays(date, Math.round(milliseconds / 86400000)),
+          time: "00:00",
+        }
+      : getZonedParts(
+          new Date(toInstant(date, start.time).getTime() + milliseconds)
+        );
+
+  let end = null;
+  const endProp = first("DTEND");
+  const durationProp = first("DURATION");
+  if (endProp) {
+    end = parseDateValue(endProp.value, endProp.params, warnings);
+  } else if (durationProp) {
+    const duration = parseDuration(durationProp.value);
+    if (duration !== null) end = addToStart(duration);
+  }
+
+  if (
+    !end ||
+    `${end.date} ${end.time}` <= `${start.date} ${start.time}`
+  ) {
+    // All-day events default to one day, timed events to one hour
+    end = addToStart(start.allDay ? 86400000 : 3600000);
+  }
+
+  const event = {
+    uid: (first("UID") || {}).value || "",
+    name:
+      readPlainText((first("SUMMARY") || { value: "" }).value) || "Untitled",
+    sourceCategory: "",
+    allDay: start.allDay,
+    fields: {
+      date,
+      startTime: start.time,
+      endDate: end.date,
+      time: start.allDay ? "00:00" : end.time,
+    },
+    recurrence: null,
+    exceptions: [],
+    warnings,
+  };
+
+  // All-day ends are exclusive midnights; keep at least one day
+  if (start.allDay && daysBetween(date, event.fields.endDate) < 1) {
+    event.fields.endDate = addDays(date, 1);
+  }
+
+  const categories = first("CATEGORIES");
+  if (categories) {
+    event.sourceCategory = readPlainText(
+      splitOutsideQuotes(categories.value, ",")[0]
+    );
+  }
+
+  const recurrenceId = first("RECURRENCE-ID");
+  if (recurrenceId) {
+    // A changed occurrence of a series imported from the same file
+    const original = parseDateValue(
+      recurrenceId.value,
+      recurrenceId.params,
+      warnings
+    );
+    if (original) {
+      event.seriesUid = event.uid;
+      event.originalDate = original.date;
+      event.uid = `${event.uid}/${event.originalDate}`;
+    }
+    return event;
+  }
+
+  const ruleProp = first("RRULE");
+  if (ruleProp) {
+    event.recurrence = parseRecurrenceRule(ruleProp.value, warnings);
+  }
+
+  if (event.recurrence) {
+    props
+      .filter((prop) => prop.name === "EXDATE")
+      .forEach((prop) => {
+        prop.value.split(",").forEach((value) => {
+          const parsed = parseDateValue(value, prop.params, warnings);
+          if (parsed) event.exceptions.push(parsed.date);
+        });
+      });
+  }
+
+  return event;
+}
+
+/**
+ * Parse .ics text into events ready for the import preview.
+ * Changed occurrences (RECURRENCE-ID) are returned as their own events with
+ * seriesUid/originalDate, and their dates are added to the series exceptions.
+ * @param {string} text - Calendar file contents
+ * @returns {Object[]} - Events sorted by start
+ */
+export function parseICalendar(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  const stack = [];
+  let props = null;
+
+  lines.forEach((line) => {
+    const prop = parseContentLine(line);
+    if (!prop) return;
+
+    if (prop.name === "BEGIN") {
+      stack.push(prop.value.toUpperCase());
+      if (stack[stack.length - 1] === "VEVENT") props = [];
+      return;
+    }
+
+    if (prop.name === "END") {
+      if (stack.pop() === "VEVENT" && props) {
+        const event = eventFromProperties(props);
+        if (event) events.push(event);
+        props = null;
+      }
+      return;
+    }
+
+    // Skip nested components such as VALARM
+    if (props && stack[stack.length - 1] === "VEVENT") props.push(prop);
+  });
+
+  const seriesByUid = {};
+  events.forEach((event) => {
+    if (event.recurrence) seriesByUid[event.uid] = event;
+  });
+  events.forEach((event) => {
+    const series = event.seriesUid && seriesByUid[event.seriesUid];
+    if (series && !series.exceptions.includes(event.originalDate)) {
+      series.exceptions.push(event.originalDate);
+    }
+  });
+
+  return events.sort((a, b) =>
+    `${a.fields.date} ${a.fields.startTime}`.localeCompare(
+      `${b.fields.date} ${b.fields.startTime}`
+    )
+  );
+}
+
+/**
+ * UID a task is exported with, used to detect re-imports
+ * @param {Object} task - Task with firestoreId
+ * @returns {string}
+ */
+export function getTaskUid(task) {
+  return task.icalUid || `${task.firestoreId}@${UID_DOMAIN}`;
+}
+
+/**
+ * Firestore id of a task exported from here, read back from its UID
+ * @param {string} uid - Event UID
+ * @returns {string|null} - Task id, or null for UIDs from other calendars
+ *   and for ids that are not Firestore document ids
+ */
+export function getTaskIdFromUid(uid) {
+  const suffix = `@${UID_DOMAIN}`;
+  if (!uid.endsWith(suffix)) return null;
+  const id = uid.slice(0, -suffix.length);
+  return TASK_ID_PATTERN.test(id) ? id : null;
+}
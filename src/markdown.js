@@ -0,0 +1,110 @@
+// src/markdown.js
+// Small markdown renderer for task descriptions. Supports headings (#, ##,
+// ###), bullet and numbered lists, paragraphs, **bold**, *italic*, `code`
+// and [links](https://...). All text is escaped first, and only http(s) and
+// mailto links are kept, so the output is safe to assign to innerHTML.
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Check whether a URL can be linked to
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url.trim());
+}
+
+/**
+ * Render inline markup of one (already escaped) line
+ */
+function renderInline(text) {
+  // Code spans first, so their content is left alone
+  const codes = [];
+  let html = text.replace(/`([^`]+)`/g, (match, code) => {
+    codes.push(`<code>${code}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+      isSafeUrl(url)
+        ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+        : match
+    )
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*]+)\*/g, "$1<em>$2</em>")
+    .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, "$1<em>$2</em>");
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codes[index]);
+}
+
+/**
+ * Render markdown text as HTML
+ * @param {string} text - Markdown
+ * @returns {string} - HTML
+ */
+export function renderMarkdown(text) {
+  if (!text) return "";
+
+  const blocks = [];
+  let paragraph = [];
+  let list = null; // { tag: "ul" | "ol", items: [] }
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map((item) => `<li>${renderInline(item)}</li>`);
+      blocks.push(`<${list.tag}>${items.join("")}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  escapeHtml(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+      const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+      if (!line.trim()) {
+        flushParagraph();
+        flushList();
+      } else if (heading) {
+        flushParagraph();
+        flushList();
+        const level = heading[1].length + 2; // # -> h3, keeps it below the modal header
+        blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      } else if (bullet || numbered) {
+        flushParagraph();
+        const tag = bullet ? "ul" : "ol";
+        if (list && list.tag !== tag) flushList();
+        if (!list) list = { tag, items: [] };
+        list.items.push((bullet || numbered)[1]);
+      } else {
+        flushList();
+        paragraph.push(line);
+      }
+    });
+
+  flushParagraph();
+  flushList();
+  return blocks.join("");
+}
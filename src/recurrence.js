@@ -0,0 +1,212 @@
+// src/recurrence.js
+// Recurrence rules for calendar tasks: expanding a series into occurrence dates,
+// and the small date-key helpers the expansion relies on.
+//
+// A recurring task document carries:
+//   recurrence: {
+//     freq: "daily" | "weekdays" | "weekly",
+//     interval: 1,             // every N days (daily) or N weeks (weekly)
+//     byDay: [1, 3],           // weekly only, JS getDay() numbers (0 = Sunday)
+//     until: "YYYY-MM-DD",     // optional, inclusive
+//     count: 10,               // optional, total number of occurrences
+//   }
+//   exceptions: ["YYYY-MM-DD"] // occurrence dates that were removed or detached
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHORT_DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// ============================================
+// Date Key Helpers
+// ============================================
+
+/**
+ * Parse a YYYY-MM-DD key into a local Date at noon (noon avoids DST edges)
+ * @param {string} key - Date key
+ * @returns {Date} - Local date
+ */
+export function parseDateKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day, 12, 0, 0, 0);
+}
+
+/**
+ * Format a local Date as a YYYY-MM-DD key
+ * @param {Date} date - Date to format
+ * @returns {string} - Date key
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Add a number of days to a date key
+ * @param {string} key - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - New date key
+ */
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Whole days from one date key to another
+ * @param {string} fromKey - Start date key
+ * @param {string} toKey - End date key
+ * @returns {number} - Day difference (negative if toKey is earlier)
+ */
+export function daysBetween(fromKey, toKey) {
+  return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+}
+
+/**
+ * Date key of the Monday starting the week that contains the given key
+ * @param {string} key - Date key
+ * @returns {string} - Monday date key
+ */
+function mondayOf(key) {
+  const day = parseDateKey(key).getDay();
+  return addDays(key, day === 0 ? -6 : 1 - day);
+}
+
+// ============================================
+// Rule Evaluation
+// ============================================
+
+/**
+ * Check whether a task document is a recurring series
+ * @param {Object} task - Task data
+ * @returns {boolean}
+ */
+export function isRecurring(task) {
+  return Boolean(task && task.recurrence && task.recurrence.freq);
+}
+
+/**
+ * Check whether the rule matches a date, ignoring until/count/exceptions
+ * @param {Object} task - Recurring task (needs date and recurrence)
+ * @param {string} key - Candidate date key
+ * @returns {boolean}
+ */
+function matchesRule(task, key) {
+  const rule = task.recurrence;
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const offset = daysBetween(task.date, key);
+  if (offset < 0) return false;
+
+  switch (rule.freq) {
+    case "daily":
+      return offset % interval === 0;
+
+    case "weekdays": {
+      const day = parseDateKey(key).getDay();
+      return day >= 1 && day <= 5;
+    }
+
+    case "weekly": {
+      const byDay =
+        rule.byDay && rule.byDay.length
+          ? rule.byDay
+          : [parseDateKey(task.date).getDay()];
+      if (!byDay.includes(parseDateKey(key).getDay())) return false;
+      const weeks = daysBetween(mondayOf(task.date), mondayOf(key)) / 7;
+      return weeks % interval === 0;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * List the dates on which a recurring task occurs within a range.
+ * Count is applied before exceptions, so removing an occurrence never
+ * pulls a later one into the series.
+ * @param {Object} task - Recurring task
+ * @param {string} rangeStart - First date key (inclusive)
+ * @param {string} rangeEnd - Last date key (inclusive)
+ * @returns {string[]} - Occurrence date keys
+ */
+export function getOccurrenceDates(task, rangeStart, rangeEnd) {
+  if (!isRecurring(task) || !task.date) return [];
+
+  const rule = task.recurrence;
+  const exceptions = new Set(task.exceptions || []);
+  const count = parseInt(rule.count) || null;
+  let last = rangeEnd;
+  if (rule.until && rule.until < last) last = rule.until;
+
+  const dates = [];
+  let seen = 0;
+  for (let key = task.date; key <= last; key = addDays(key, 1)) {
+    if (!matchesRule(task, key)) continue;
+    seen++;
+    if (count && seen > count) break;
+    if (key >= rangeStart && !exceptions.has(key)) dates.push(key);
+  }
+  return dates;
+}
+
+/**
+ * Count how many occurrences of the series fall before a date
+ * (exceptions included, matching how count is applied)
+ * @param {Object} task - Recurring task
+ * @param {string} key - Date key to count up to (exclusive)
+ * @returns {number}
+ */
+export function countOccurrencesBefore(task, key) {
+  let seen = 0;
+  for (let day = task.date; day < key; day = addDays(day, 1)) {
+    if (matchesRule(task, day)) seen++;
+  }
+  return seen;
+}
+
+/**
+ * Move a rule's weekday selection along with a series that shifts by N days
+ * @param {Object} rule - Recurrence rule
+ * @param {number} dayShift - Days the series start moved
+ * @returns {Object} - Shifted rule
+ */
+export function shiftRecurrence(rule, dayShift) {
+  if (!dayShift || rule.freq !== "weekly" || !rule.byDay) return { ...rule };
+  return {
+    ...rule,
+    byDay: rule.byDay
+      .map((day) => (((day + dayShift) % 7) + 7) % 7)
+      .sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Human readable summary of a rule, e.g. "Every 2 weeks on Mon, Wed"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string}
+ */
+export function describeRecurrence(rule) {
+  if (!rule || !rule.freq) return "";
+
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  let text;
+  if (rule.freq === "daily") {
+    text = interval === 1 ? "Daily" : `Every ${interval} days`;
+  } else if (rule.freq === "weekdays") {
+    text = "Every weekday";
+  } else {
+    text = interval === 1 ? "Weekly" : `Every ${interval} weeks`;
+    if (rule.byDay && rule.byDay.length) {
+      const days = [...rule.byDay]
+        .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+        .map((day) => SHORT_DAY_NAMES[day]);
+      text += ` on ${days.join(", ")}`;
+    }
+  }
+
+  if (rule.until) text += ` until ${rule.until}`;
+  else if (rule.count) text += `, ${rule.count} times`;
+  return text;
+}
@@ -0,0 +1,94 @@
+// src/reminderRecurrence.js
+// Repeating reminders. A reminder in users/{uid}/reminders may carry
+//   repeat: {
+//     mode: "schedule" | "afterCompletion",
+//     freq: "daily" | "weekly" | "monthly",  // schedule only
+//     interval: 1,       // every N days/weeks/months, or N days after
+//                        // completion
+//     dayOfMonth: 31,    // monthly only: the day of the month it was set up
+//                        // on, so short months don't pull it earlier for good
+//   }
+//   seriesId: "..."      // id of the first reminder of the series
+//   nextId: "..."        // once completed: the occurrence that followed it
+// Completing an occurrence keeps it as history and adds the next occurrence
+// as a new reminder. Dates are YYYY-MM-DD keys in the display zone.
+
+import { addDays, parseDateKey, toDateKey } from "./recurrence.js";
+
+/**
+ * Check whether a reminder repeats
+ * @param {Object} reminder - Reminder data
+ * @returns {boolean}
+ */
+export function isRepeating(reminder) {
+  return Boolean(reminder && reminder.repeat && reminder.repeat.mode);
+}
+
+/**
+ * Add months to a date key, keeping the day of the month where the month
+ * is long enough
+ * @param {string} key - Date key
+ * @param {number} months - Months to add
+ * @param {number} [dayOfMonth] - Day to aim for (defaults to the key's)
+ * @returns {string} - Date key
+ */
+export function addMonths(key, months, dayOfMonth = null) {
+  const date = parseDateKey(key);
+  const day = dayOfMonth || date.getDate();
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1, 12);
+  const lastDay = new Date(
+    target.getFullYear(),
+    target.getMonth() + 1,
+    0,
+    12
+  ).getDate();
+  target.setDate(Math.min(day, lastDay));
+  return toDateKey(target);
+}
+
+/**
+ * Due date of the occurrence after the one being completed. On a fixed
+ * schedule occurrences missed while overdue are skipped, so the next one is
+ * always after the completion day.
+ * @param {Object} repeat - Reminder repeat rule
+ * @param {string} dueKey - Due date of the completed occurrence
+ * @param {string} completedKey - Day it was completed
+ * @returns {string} - Date key
+ */
+export function getNextDueKey(repeat, dueKey, completedKey) {
+  const interval = Math.max(1, parseInt(repeat.interval) || 1);
+
+  if (repeat.mode === "afterCompletion") {
+    return addDays(completedKey, interval);
+  }
+
+  const step = (key) => {
+    if (repeat.freq === "monthly") {
+      return addMonths(key, interval, repeat.dayOfMonth);
+    }
+    return addDays(key, repeat.freq === "weekly" ? interval * 7 : interval);
+  };
+
+  let next = step(dueKey);
+  while (next <= completedKey) next = step(next);
+  return next;
+}
+
+/**
+ * Human readable summary of a repeat rule, e.g. "Every 2 weeks"
+ * @param {Object} repeat - Reminder repeat rule
+ * @returns {string}
+ */
+export function describeRepeat(repeat) {
+  if (!repeat || !repeat.mode) return "";
+
+  const interval = Math.max(1, parseInt(repeat.interval) || 1);
+  if (repeat.mode === "afterCompletion") {
+    return `${interval} day${interval === 1 ? "" : "s"} after done`;
+  }
+
+  const unit = { daily: "day", weekly: "week", monthly: "month" }[
+    repeat.freq
+  ];
+  return interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+}
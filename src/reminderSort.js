@@ -0,0 +1,58 @@
+// src/reminderSort.js
+// Priority and ordering of reminders. Reminders store
+//   priority: 1 | 2 | 3     // 1 = high, 2 = medium, 3 = normal (default)
+// Lists can be sorted by due date, priority or estimate; ties fall back to
+// the other keys so the order is stable between renders.
+
+export const DEFAULT_PRIORITY = 3;
+
+export const PRIORITY_LABELS = { 1: "High", 2: "Medium", 3: "Normal" };
+
+export const REMINDER_SORTS = ["due", "priority", "estimate"];
+
+/**
+ * Priority of a reminder, defaulting missing or odd values to normal
+ * @param {Object} reminder - Reminder data
+ * @returns {number} - 1, 2 or 3
+ */
+export function getPriority(reminder) {
+  const priority = parseInt(reminder && reminder.priority);
+  return PRIORITY_LABELS[priority] ? priority : DEFAULT_PRIORITY;
+}
+
+function dueTime(reminder) {
+  const due = reminder.due_date;
+  if (!due) return Infinity;
+  return (due.toDate ? due.toDate() : new Date(due)).getTime();
+}
+
+function estimate(reminder) {
+  return reminder.estimate_minutes || Infinity;
+}
+
+function compareNumbers(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const KEYS = {
+  due: (a, b) => compareNumbers(dueTime(a), dueTime(b)),
+  priority: (a, b) => getPriority(a) - getPriority(b),
+  estimate: (a, b) => compareNumbers(estimate(a), estimate(b)),
+};
+
+/**
+ * Comparator for a sort option. Missing due dates and estimates go last.
+ * @param {string} sortBy - "due", "priority" or "estimate"
+ * @returns {Function} - (a, b) => number
+ */
+export function compareReminders(sortBy) {
+  const order = [sortBy, ...REMINDER_SORTS.filter((key) => key !== sortBy)];
+  return (a, b) => {
+    for (const key of order) {
+      const result = KEYS[key] ? KEYS[key](a, b) : 0;
+      if (result) return result;
+    }
+    return 0;
+  };
+}
@@ -0,0 +1,62 @@
+// src/search.js
+// Fuzzy matching for the command palette. The query's characters must appear
+// in the text in order; matches that are consecutive or start a word score
+// higher, so "gym" ranks "Gym session" above "Go to my notes".
+
+/**
+ * Score how well a query matches a text
+ * @param {string} query - What the user typed
+ * @param {string} text - Candidate text
+ * @returns {number|null} - Higher is better, null when it does not match
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = (text || "").toLowerCase();
+  if (!needle) return 0;
+
+  // A plain substring match beats any scattered match
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    return 1000 - index + (isWordStart(haystack, index) ? 100 : 0);
+  }
+
+  let score = 0;
+  let position = -1;
+  let streak = 0;
+
+  for (const char of needle) {
+    if (char === " ") continue;
+    const next = haystack.indexOf(char, position + 1);
+    if (next === -1) return null;
+
+    streak = next === position + 1 ? streak + 1 : 0;
+    score += 10 + streak * 5 + (isWordStart(haystack, next) ? 15 : 0);
+    score -= Math.min(next - position - 1, 10);
+    position = next;
+  }
+
+  return score;
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-_/.]/.test(text[index - 1]);
+}
+
+/**
+ * Filter and rank items by a query
+ * @param {string} query - What the user typed
+ * @param {Object[]} items - Candidates
+ * @param {Function} getText - item => text to match against
+ * @returns {Object[]} - Matching items, best first (all items for an empty query)
+ */
+export function fuzzySearch(query, items, getText) {
+  return items
+    .map((item, order) => ({
+      item,
+      order,
+      score: fuzzyScore(query, getText(item)),
+    }))
+    .filter((result) => result.score !== null)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map((result) => result.item);
+}
@@ -0,0 +1,82 @@
+// src/urlState.js
+// What the calendar shows, kept in the page URL so it survives reloads, can
+// be shared and works with back/forward:
+//   ?date=2026-11-10&view=week&cats=study,work
+//   date  the anchor date (week=2026-W46 is accepted as well, as its Monday)
+//   view  day | week | month | agenda
+//   cats  visible category ids; left out when nothing is filtered, empty
+//         when everything is hidden
+// Other parameters (e.g. ?join=) are left untouched.
+
+import { addDays, parseDateKey, toDateKey } from "./recurrence.js";
+
+export const VIEWS = ["day", "week", "month", "agenda"];
+
+const STATE_PARAMS = ["date", "week", "view", "cats"];
+
+/**
+ * Monday of an ISO week
+ * @param {string} value - e.g. "2026-W46"
+ * @returns {string|null} - YYYY-MM-DD, or null if not a valid week
+ */
+export function isoWeekToDate(value) {
+  const match = /^(\d{4})-W(\d{1,2})$/i.exec(value || "");
+  if (!match) return null;
+
+  const week = parseInt(match[2]);
+  if (week < 1 || week > 53) return null;
+
+  // January 4th is always in week 1
+  const jan4 = `${match[1]}-01-04`;
+  const day = parseDateKey(jan4).getDay() || 7;
+  return addDays(jan4, (week - 1) * 7 - (day - 1));
+}
+
+function isDateKey(value) {
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(value || "") &&
+    toDateKey(parseDateKey(value)) === value
+  );
+}
+
+/**
+ * Read the calendar state from a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {{date: string|null, view: string|null, cats: string[]|null}}
+ *          - null for anything missing or invalid
+ */
+export function readUrlState(search) {
+  const params = new URLSearchParams(search);
+
+  const dateParam = params.get("date");
+  const date = isDateKey(dateParam)
+    ? dateParam
+    : isoWeekToDate(params.get("week"));
+
+  const view = VIEWS.includes(params.get("view")) ? params.get("view") : null;
+
+  const cats = params.has("cats")
+    ? params.get("cats").split(",").filter(Boolean)
+    : null;
+
+  return { date, view, cats };
+}
+
+/**
+ * Write the calendar state into a query string, keeping other parameters
+ * @param {string} search - Current query string
+ * @param {{date: string, view: string, cats: string[]|null}} state
+ * @returns {string} - New query string, starting with "?" (or "" if empty)
+ */
+export function writeUrlState(search, { date, view, cats }) {
+  const params = new URLSearchParams(search);
+  STATE_PARAMS.forEach((name) => params.delete(name));
+
+  params.set("date", date);
+  params.set("view", view);
+  if (cats) params.set("cats", cats.join(","));
+
+  // Keep the commas in the category list readable
+  const query = params.toString().replace(/%2C/gi, ",");
+  return query ? `?${query}` : "";
+}